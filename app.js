@@ -1,15 +1,12 @@
-// NorrisCAM — UPDATED (Rotate + Correct HOME dot + Build Summary pills)
-// Machine: General International i-Carver 40-915 XM1 CNC Router
-// Travel: X = 15" (back↔front), Y = 20" (right↔left)
-// Workflow: center of stock (WCS 0,0 at stock center)
-// NC preview: reveal from line 1, pinned cursor @ 0.33, page never scrolls
+// NorrisCAM page script: DOM, canvas and state. Geometry, toolpaths and NC come from core.js.
+// Machine, travel and work zero come from the selected machine profile.
+// NC preview: reveals from line 1 with the cursor pinned at 0.33; the page never scrolls.
 
 const NC_PIN_FRACTION = 0.33;
 
-// Machine footprint (inches)
-const MACHINE_X_TRAVEL = 15;
-const MACHINE_Y_TRAVEL = 20;
-const MACHINE_CENTER_SHIFT = { x: MACHINE_X_TRAVEL / 2, y: MACHINE_Y_TRAVEL / 2 };
+// Saved machine profiles (defaults in core.js) and the autosaved project.
+const MACHINES_KEY = "norriscam.machines";
+const PROJECT_KEY = "norriscam.project";
 
 const $ = (id) => document.getElementById(id);
 
@@ -17,17 +14,32 @@ const canvas = $("c");
 const ctx = canvas.getContext("2d");
 
 // DXF + geometry state
-let dxfParsed = null;
+let sourceDoc = null; // { kind: "dxf" | "svg", name, text, dxf | svg }
 let baseGeomSegs = [];     // origin-shifted, UN-transformed segments
 let geomSegs = [];         // transformed (rotate+scale) segments used for drawing/toolpath
 
 let currentScale = 1.0;
 let currentRotDeg = 0.0;
 
+// Holding tabs clicked on the canvas (un-transformed part coords) + built tab centres
+let manualTabs = [];
+let tabMarks = [];
+let loopStarts = [];       // clicked loop start points, same coords as manualTabs
+let copyPlacements = [{ dx: 0, dy: 0, rot: 0 }];  // where each copy sits (arrangeCopies)
+let partBox = null;        // transformed single-part bounds, for picking a copy
+let canvasTool = "pan";
+
+// Machine profiles: { list, active } (persisted in localStorage)
+let machines = null;
+
+// Per-layer operations: [{ layer, enabled, op, depth, stepDown, feedXY, order }]; blank numbers use Main
+let layerOps = [];
+
 // Toolpath + NC state
 let toolSegs = [];
 let ncLines = [];
 let ncText = "";
+let ncExt = ".dat";
 
 // Reveal state
 let revealSegCount = 0;
@@ -41,8 +53,9 @@ let viewLocked = false;
 let lockedView = { scale: view.scale, ox: view.ox, oy: view.oy };
 let userTouchedView = false;
 
-// ---------------- Build Summary (NEW) ----------------
+// ---------------- Build Summary ----------------
 function resetBuildSummary() {
+  shownSummary = null;
   if (window.updateBuildSummary) {
     window.updateBuildSummary({
       segments: "—",
@@ -54,22 +67,26 @@ function resetBuildSummary() {
     });
   }
 }
-function updateBuildSummaryFromBuild(opts, toolSegments, over) {
+// est: estimateCycleTime result; without it time falls back to cut length / feed.
+// rapidSaved: XY rapid distance the path-order optimizer removed.
+function updateBuildSummaryFromBuild(opts, toolSegments, over, passCount, est = null, rapidSaved = 0) {
+  shownSummary = [opts, toolSegments, over, passCount, est, rapidSaved];
   const depth = Math.abs(opts.depth);
   const step = Math.max(0.001, opts.stepDown);
-  const passes = Math.max(1, Math.ceil(depth / step));
+  const passes = passCount ?? Math.max(1, Math.ceil(depth / step));
 
-  let cutDist = 0;
+  let cutDist = 0, rapidDist = 0;
   for (const s of toolSegments) {
+    if (s.mode === "RAPID") rapidDist += dist(s.a, s.b);
     if (s.mode !== "CUT") continue;
-    cutDist += Math.hypot(s.b.x - s.a.x, s.b.y - s.a.y);
+    cutDist += isArc(s) ? segLen(s) : Math.hypot(s.b.x - s.a.x, s.b.y - s.a.y, (s.b.z ?? 0) - (s.a.z ?? 0));
   }
 
   const feed = Math.max(1e-6, Number(opts.feedXY) || 1);
-  const estMin = cutDist / feed;
+  const estMin = est ? est.total : cutDist / feed;
 
-  const boundsText =
-    `X ${over.minX.toFixed(2)}→${over.maxX.toFixed(2)} • Y ${over.minY.toFixed(2)}→${over.maxY.toFixed(2)}`;
+  const u = unitInfo(), d = (v) => (v * u.k).toFixed(u.k > 1 ? 1 : 2);
+  const boundsText = `X ${d(over.minX)}→${d(over.maxX)} • Y ${d(over.minY)}→${d(over.maxY)}`;
 
   const tone = over.isOver ? "warn" : "ok";
 
@@ -77,8 +94,11 @@ function updateBuildSummaryFromBuild(opts, toolSegments, over) {
     window.updateBuildSummary({
       segments: String(toolSegments.length),
       passes: String(passes),
-      cutDistIn: `${cutDist.toFixed(1)} in`,
+      cutDistIn: `${(cutDist * u.k).toFixed(u.k > 1 ? 0 : 1)} ${u.name}`,
+      rapidText: `${(rapidDist * u.k).toFixed(u.k > 1 ? 0 : 1)} ${u.name}` +
+        (rapidSaved > 0.05 ? ` (−${(rapidSaved * u.k).toFixed(u.k > 1 ? 0 : 1)})` : ""),
       estTimeMin: estMin,
+      estDetail: est ? describeCycleTime(est) : "",
       boundsText,
       tone
     });
@@ -115,182 +135,78 @@ function enableAfterBuild(enabled) {
   $("pauseBtn").disabled = !enabled;
 }
 
+// Lengths come back in inches whatever the Units setting; defaults are inches too.
 function readOpts() {
-  const safeZ = Number($("safeZ").value || 0.5);
-  const depth = Math.abs(Number($("cutZ").value || 0.0625));
-  const stepDown = Math.max(0.001, Number($("stepDown").value || 0.0625));
-  const feedXY = Number($("feedXY").value || 30);
-  const feedZ = Number($("feedZ").value || 20);
-  const outPrec = Math.max(0.0005, Number($("outPrec").value || 0.01));
-  const snapGrid = Math.max(0.001, Number($("snapGrid").value || 0.02));
+  const len = (id, def) => $(id).value ? toInch(Number($(id).value)) : def;
+  const safeZ = len("safeZ", 0.5);
+  const depth = Math.abs(len("cutZ", 0.0625));
+  const stepDown = Math.max(0.001, len("stepDown", 0.0625));
+  const feedXY = len("feedXY", 30);
+  const feedZ = len("feedZ", 20);
+  const outPrec = Math.max(0.0005, len("outPrec", 0.01));
+  const snapGrid = Math.max(0.001, len("snapGrid", 0.02));
   const angleTolDeg = Math.max(1, Number($("angleTolDeg").value || 14));
-  const chainTol = Math.max(0.0005, Number($("chainTol").value || 0.02));
+  const chainTol = Math.max(0.0005, len("chainTol", 0.02));
   const origin = $("origin").value || "center";
-  const toolComment = $("toolComment").value || "(T1 - 1/4 endmill, centerline, no comp)";
+  const toolComment = $("toolComment").value || "(T1 - 1/4 endmill)";
   const rpm = Math.max(0, Math.floor(Number($("spindleRPM").value || 12000)));
-  return { safeZ, depth, stepDown, feedXY, feedZ, outPrec, snapGrid, angleTolDeg, chainTol, origin, toolComment, rpm };
+  const toolDia = Math.max(0, len("toolDia", 0));
+  const profileSide = $("profileSide").value || "on";
+  const operation = $("operation").value || "profile";
+  const stepoverPct = Math.min(100, Math.max(5, Number($("stepoverPct").value || 40)));
+  const tabCount = Math.max(0, Math.floor(Number($("tabCount").value || 0)));
+  const tabWidth = Math.max(0, len("tabWidth", 0.25));
+  const tabHeight = Math.max(0, len("tabHeight", 0.125));
+  const entry = $("entry").value || "straight";
+  const rampAngleDeg = Math.min(45, Math.max(0.5, Number($("rampAngleDeg").value || 5)));
+  const arcOutput = $("arcOutput").value || "ij";
+  const splineArcs = $("splineFit").value === "arcs";
+  const routeRapids = $("routeRapids").value === "around";
+  const cutDirection = $("cutDirection").value || "any";
+  const loopStart = $("loopStart").value || "auto";
+  const drillMaxDia = Math.max(0, len("drillMaxDia", 0));
+  const drillCycle = $("drillCycle").value || "g81";
+  const peckDepth = Math.max(0, len("peckDepth", 0.125));
+  return {
+    safeZ, depth, stepDown, feedXY, feedZ, outPrec, snapGrid, angleTolDeg, chainTol, origin, toolComment, rpm,
+    toolDia, profileSide, operation, stepoverPct, tabCount, tabWidth, tabHeight, entry, rampAngleDeg, arcOutput,
+    splineArcs, routeRapids, cutDirection, loopStart, drillMaxDia, drillCycle, peckDepth, units: shownUnits
+  };
 }
 
-// ---------------- Stock helpers (NEW) ----------------
-function readStockSize() {
-  const w = Math.max(0.01, Number($("stockW")?.value || 0));
-  const h = Math.max(0.01, Number($("stockH")?.value || 0));
-  return { w, h };
-}
-
-// ---------------- Math helpers ----------------
-function dist(a, b) { return Math.hypot(a.x - b.x, a.y - b.y); }
-function samePt(a, b, tol) { return Math.abs(a.x - b.x) <= tol && Math.abs(a.y - b.y) <= tol; }
-function snapPoint(p, g) { return { x: Math.round(p.x / g) * g, y: Math.round(p.y / g) * g }; }
-
-function fmt(n, step) {
-  const q = Math.round(n / step) * step;
-  let dec = 0;
-  if (step < 1) dec = Math.max(0, Math.ceil(-Math.log10(step)));
-  return q.toFixed(dec).replace(/\.?0+$/, "");
-}
-
-function formatPercent(pct) {
-  if (!isFinite(pct)) return "—";
-  if (pct >= 100) return `${pct.toFixed(0)}%`;
-  if (pct >= 10) return `${pct.toFixed(1)}%`;
-  if (pct >= 1) return `${pct.toFixed(2)}%`;
-  if (pct >= 0.1) return `${pct.toFixed(3)}%`;
-  if (pct >= 0.01) return `${pct.toFixed(4)}%`;
-  return `${pct.toFixed(6)}%`;
-}
-
-function bounds(segs) {
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-  for (const s of segs) {
-    minX = Math.min(minX, s.a.x, s.b.x);
-    minY = Math.min(minY, s.a.y, s.b.y);
-    maxX = Math.max(maxX, s.a.x, s.b.x);
-    maxY = Math.max(maxY, s.a.y, s.b.y);
+// ---------------- Units ----------------
+// Fields holding a length (or a length per minute) in the shown unit.
+const LENGTH_FIELDS = [
+  "stockW", "stockH", "stockT", "safeZ", "cutZ", "stepDown", "feedXY", "feedZ", "toolDia", "tabWidth", "tabHeight",
+  "drillMaxDia", "peckDepth", "copySpacing", "copyMargin", "outPrec", "snapGrid", "chainTol", "gapTol"
+];
+const MACHINE_LENGTH_KEYS = ["travelX", "travelY", "travelZ", "maxFeedXY", "maxFeedZ", "rapidXY", "rapidZ", "accel"];
+// Switch the shown unit, converting every length field so nothing changes size.
+function setUnits(u) {
+  const from = unitInfo(), to = unitInfo(u);
+  if (from === to) return;
+  for (const id of LENGTH_FIELDS) {
+    const v = Number($(id).value);
+    if ($(id).value !== "" && isFinite(v)) $(id).value = String(Number((v * to.k / from.k).toPrecision(6)));
   }
-  if (!isFinite(minX)) return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
-  return { minX, minY, maxX, maxY };
-}
-
-function applyOriginShift(segs, origin) {
-  const b = bounds(segs);
-  const cx = (b.minX + b.maxX) / 2;
-  const cy = (b.minY + b.maxY) / 2;
-
-  let dx = 0, dy = 0;
-  if (origin === "center") { dx = -cx; dy = -cy; }
-  else if (origin === "ll") { dx = -b.minX; dy = -b.minY; }
-  else if (origin === "lr") { dx = -b.maxX; dy = -b.minY; }
-  else if (origin === "ul") { dx = -b.minX; dy = -b.maxY; }
-  else if (origin === "ur") { dx = -b.maxX; dy = -b.maxY; }
-
-  return segs.map(s => ({
-    a: { x: s.a.x + dx, y: s.a.y + dy },
-    b: { x: s.b.x + dx, y: s.b.y + dy }
-  }));
-}
-
-function degToRad(d) { return d * Math.PI / 180; }
-
-function transformSegs(segs, scale, rotDeg) {
-  const th = degToRad(rotDeg);
-  const c = Math.cos(th), s = Math.sin(th);
-
-  // Rotate about origin (0,0), then scale
-  return segs.map(seg => {
-    const ra = { x: (seg.a.x * c - seg.a.y * s), y: (seg.a.x * s + seg.a.y * c) };
-    const rb = { x: (seg.b.x * c - seg.b.y * s), y: (seg.b.x * s + seg.b.y * c) };
-    return {
-      a: { x: ra.x * scale, y: ra.y * scale },
-      b: { x: rb.x * scale, y: rb.y * scale }
-    };
-  });
+  shownUnits = to.name;
+  renderUnits();
 }
 
-// ---------------- DXF parsing ----------------
-function xyOf(v) {
-  if (!v) return null;
-  if (typeof v.x === "number" && typeof v.y === "number") return { x: v.x, y: v.y };
-  if (Array.isArray(v) && v.length >= 2) return { x: Number(v[0]), y: Number(v[1]) };
-  if (v.point) return xyOf(v.point);
-  return null;
-}
-
-function tessArc(center, r, a0, a1, outPrec) {
-  let start = a0, end = a1;
-  if (end < start) end += Math.PI * 2;
-
-  let dTheta = Math.PI / 18;
-  if (r > 1e-9) {
-    const x = Math.max(-1, Math.min(1, 1 - (outPrec / r)));
-    const maxStep = 2 * Math.acos(x);
-    if (isFinite(maxStep) && maxStep > 1e-6) dTheta = Math.min(maxStep, Math.PI / 6);
-  }
-
-  const pts = [];
-  pts.push({ x: center.x + r * Math.cos(start), y: center.y + r * Math.sin(start) });
-  for (let t = start + dTheta; t < end; t += dTheta) {
-    pts.push({ x: center.x + r * Math.cos(t), y: center.y + r * Math.sin(t) });
-  }
-  pts.push({ x: center.x + r * Math.cos(end), y: center.y + r * Math.sin(end) });
-
-  const segs = [];
-  for (let i = 0; i < pts.length - 1; i++) segs.push({ a: pts[i], b: pts[i + 1] });
-  return segs;
+function renderUnits() {
+  $("units").value = shownUnits;
+  for (const el of document.querySelectorAll(".unit.len")) el.textContent = unitInfo().name;
+  renderMachineUI();
+  renderLayerOps();
+  draw();
 }
 
-function extractSegments(dxf, outPrec) {
-  const out = [];
-  const ents = dxf?.entities || [];
-
-  for (const e of ents) {
-    if (e.type === "LINE") {
-      const a = xyOf(e.start), b = xyOf(e.end);
-      if (a && b) out.push({ a, b });
-      continue;
-    }
-
-    if (e.type === "LWPOLYLINE" || e.type === "POLYLINE") {
-      const verts = (e.vertices || []).map(xyOf).filter(Boolean);
-      if (verts.length >= 2) {
-        for (let i = 0; i < verts.length - 1; i++) out.push({ a: verts[i], b: verts[i + 1] });
-        if (e.closed) out.push({ a: verts[verts.length - 1], b: verts[0] });
-      }
-      continue;
-    }
-
-    if (e.type === "ARC") {
-      const c = xyOf(e.center);
-      const r = Number(e.radius);
-      if (c && isFinite(r) && r > 0) {
-        let a0 = Number(e.startAngle), a1 = Number(e.endAngle);
-        if (Math.abs(a0) > 2 * Math.PI || Math.abs(a1) > 2 * Math.PI) {
-          a0 = a0 * Math.PI / 180;
-          a1 = a1 * Math.PI / 180;
-        }
-        out.push(...tessArc(c, r, a0, a1, outPrec));
-      }
-      continue;
-    }
-
-    if (e.type === "CIRCLE") {
-      const c = xyOf(e.center);
-      const r = Number(e.radius);
-      if (c && isFinite(r) && r > 0) out.push(...tessArc(c, r, 0, 2 * Math.PI, outPrec));
-      continue;
-    }
-
-    if (e.type === "SPLINE") {
-      const ptsRaw = (e.fitPoints?.length ? e.fitPoints : e.controlPoints) || [];
-      const pts = ptsRaw.map(xyOf).filter(Boolean);
-      if (pts.length >= 2) {
-        for (let i = 0; i < pts.length - 1; i++) out.push({ a: pts[i], b: pts[i + 1] });
-      }
-      continue;
-    }
-  }
-
-  return out;
+// ---------------- Stock helpers ----------------
+function readStockSize() {
+  const w = Math.max(0.01, toInch(Number($("stockW")?.value || 0)));
+  const h = Math.max(0.01, toInch(Number($("stockH")?.value || 0)));
+  const t = Math.max(0.001, $("stockT")?.value ? toInch(Number($("stockT").value)) : 0.75);
+  return { w, h, t };
 }
 
 // ---------------- View / canvas ----------------
@@ -334,12 +250,21 @@ function fitViewOnce(segs) {
 }
 
 function w2s(p) { return { x: p.x * view.scale + view.ox, y: -p.y * view.scale + view.oy }; }
+function s2w(x, y) { return { x: (x - view.ox) / view.scale, y: -(y - view.oy) / view.scale }; }
 
 // Pan/zoom
 let dragging = false, lastX = 0, lastY = 0;
-canvas.addEventListener("mousedown", (e) => { dragging = true; lastX = e.clientX; lastY = e.clientY; });
-window.addEventListener("mouseup", () => dragging = false);
+canvas.addEventListener("mousedown", (e) => {
+  if (canvasTool === "tabs" && e.button === 0) { toggleManualTab(e); return; }
+  if (canvasTool === "starts" && e.button === 0) { toggleLoopStart(e); return; }
+  if (canvasTool === "keepout" && e.button === 0) { keepOutMouseDown(e); return; }
+  if (canvasTool === "select" && e.button === 0) { selectMouseDown(e); return; }
+  dragging = true; lastX = e.clientX; lastY = e.clientY;
+});
+window.addEventListener("mouseup", () => { dragging = false; keepOutMouseUp(); selectMouseUp(); });
 window.addEventListener("mousemove", (e) => {
+  if (keepOutDraft) { keepOutMouseMove(e); return; }
+  if (selectDraft) { selectMouseMove(e); return; }
   if (!dragging) return;
   userTouchedView = true;
   viewLocked = false;
@@ -372,11 +297,8 @@ canvas.addEventListener("wheel", (e) => {
 function drawMachineOverlay() {
   if (!$("showFootprint").checked) return;
 
-  // Center-zero workflow => bounds in part coords:
-  const minX = -MACHINE_X_TRAVEL / 2;
-  const maxX = +MACHINE_X_TRAVEL / 2;
-  const minY = -MACHINE_Y_TRAVEL / 2;
-  const maxY = +MACHINE_Y_TRAVEL / 2;
+  // Machine travel in part coords (depends on the profile's work zero)
+  const { minX, maxX, minY, maxY } = machineRect(activeMachine());
 
   const p1 = w2s({ x: minX, y: minY });
   const p2 = w2s({ x: maxX, y: minY });
@@ -398,8 +320,8 @@ function drawMachineOverlay() {
 
   ctx.setLineDash([]);
 
-  // HOME dot = TOP-LEFT
-  const home = w2s({ x: minX, y: maxY });
+  // HOME dot at the profile's home corner
+  const home = w2s(machineHome(activeMachine()));
 
   ctx.fillStyle = "rgba(255,255,255,0.90)";
   ctx.beginPath();
@@ -447,12 +369,156 @@ function drawStockOverlay() {
   // subtle label
   ctx.font = "900 12px system-ui, -apple-system, Segoe UI, Roboto, Arial";
   ctx.fillStyle = "rgba(52,211,153,0.70)";
-  ctx.fillText(`STOCK ${w.toFixed(1)}" × ${h.toFixed(1)}"`, p1.x + 10, p1.y + 18);
+  ctx.fillText(`STOCK ${fmtLen(w, unitInfo().k > 1 ? 1 : 0.1)} × ${fmtLen(h, unitInfo().k > 1 ? 1 : 0.1)}`, p1.x + 10, p1.y + 18);
 
   ctx.restore();
 }
 
+// ---------------- Stock simulation ----------------
+// Heightmap of material removed: depth[i + j * nx] is how far below Z0 cell (i, j) has
+// been cut. Built incrementally as the reveal advances; stepping back rebuilds it.
+let sim = null;
+const SIM_MAX_CELLS = 400;
+
+function simKey() {
+  const { w, h, t } = readStockSize();
+  return `${w}|${h}|${t}|${readOpts().toolDia}`;
+}
+
+function simReset() {
+  const { w, h, t } = readStockSize();
+  const cell = Math.max(w, h) / SIM_MAX_CELLS;
+  const nx = Math.max(1, Math.ceil(w / cell)), ny = Math.max(1, Math.ceil(h / cell));
+  const r = Math.max(cell * 0.5, readOpts().toolDia / 2);
+  const rc = Math.ceil(r / cell);
+  const disc = [];
+  for (let dj = -rc; dj <= rc; dj++) for (let di = -rc; di <= rc; di++) {
+    if ((di * cell) ** 2 + (dj * cell) ** 2 <= r * r + 1e-12) disc.push([di, dj]);
+  }
+  sim = {
+    key: simKey(), segs: toolSegs, applied: 0,
+    minX: -w / 2, minY: -h / 2, cell, nx, ny, thick: t,
+    depth: new Float32Array(nx * ny), disc, image: null
+  };
+}
+
+// Sweep the tool along one cutting segment.
+function simApply(s) {
+  const zAt = (u) => s.a.z !== undefined && s.b.z !== undefined ? s.a.z + (s.b.z - s.a.z) * u : (s.z ?? 0);
+  if (Math.min(zAt(0), zAt(1)) >= 0) return;
+  const n = Math.max(1, Math.ceil(segLen(s) / (sim.cell * 0.5)));
+  const { nx, ny, cell, depth, disc } = sim;
+  for (let k = 0; k <= n; k++) {
+    const u = k / n, d = -zAt(u);
+    if (d <= 0) continue;
+    const p = segPointAt(s, u);
+    const ci = Math.floor((p.x - sim.minX) / cell), cj = Math.floor((p.y - sim.minY) / cell);
+    for (const [di, dj] of disc) {
+      const i = ci + di, j = cj + dj;
+      if (i < 0 || j < 0 || i >= nx || j >= ny) continue;
+      const idx = i + j * nx;
+      if (depth[idx] < d) depth[idx] = d;
+    }
+  }
+}
+
+// Bring the heightmap up to the first n tool segments.
+function simUpdate(n) {
+  if (!sim || sim.segs !== toolSegs || sim.key !== simKey() || n < sim.applied) simReset();
+  if (n === sim.applied && sim.image) return;
+  for (let i = sim.applied; i < n; i++) if (toolSegs[i].mode === "CUT") simApply(toolSegs[i]);
+  sim.applied = n;
+  sim.image = null;
+}
+
+// Wood colour darkened with depth and lit from the top-left; cells cut through the stock are red.
+function simShade(i, j) {
+  const { nx, ny, depth, thick } = sim;
+  const d = depth[i + j * nx];
+  if (d > thick + 1e-6) return [235, 70, 70];
+  const dl = depth[Math.max(0, i - 1) + j * nx], dr = depth[Math.min(nx - 1, i + 1) + j * nx];
+  const dd = depth[i + Math.max(0, j - 1) * nx], du = depth[i + Math.min(ny - 1, j + 1) * nx];
+  const slope = ((dl - dr) + (du - dd)) / (sim.cell * 4);
+  const k = Math.max(0.35, Math.min(1.2, (1 - 0.55 * d / thick) * (1 - 0.5 * Math.max(-1, Math.min(1, slope)))));
+  return d > 0 ? [196 * k, 150 * k, 98 * k] : [222, 184, 135];
+}
+
+function simTopImage(c2) {
+  const { nx, ny } = sim;
+  const img = c2.createImageData(nx, ny);
+  for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) {
+    const [r, g, b] = simShade(i, j);
+    const o = (i + (ny - 1 - j) * nx) * 4;
+    img.data[o] = r; img.data[o + 1] = g; img.data[o + 2] = b; img.data[o + 3] = 255;
+  }
+  return img;
+}
+
+// Tilted view: rows squashed to TILT, depth drawn downward, painted front to back so
+// nearer surfaces hide what is behind them.
+const SIM_TILT = 0.55;
+function sim3dImage(c2) {
+  const { nx, ny, cell, depth, thick } = sim;
+  const zPx = (d) => d / cell * (1 - SIM_TILT) * 2;
+  const base = Math.ceil(ny * SIM_TILT), side = Math.ceil(zPx(thick));
+  const img = c2.createImageData(nx, base + side);
+  for (let i = 0; i < nx; i++) {
+    // front face of the block
+    for (let v = base; v < base + side; v++) {
+      const o = (i + v * nx) * 4;
+      img.data[o] = 150; img.data[o + 1] = 110; img.data[o + 2] = 70; img.data[o + 3] = 255;
+    }
+    let horizon = base;
+    for (let j = 0; j < ny; j++) {
+      const top = Math.floor((ny - 1 - j) * SIM_TILT + zPx(Math.min(depth[i + j * nx], thick)));
+      if (top >= horizon) continue;
+      const [r, g, b] = simShade(i, j);
+      for (let v = Math.max(0, top); v < horizon; v++) {
+        const o = (i + v * nx) * 4;
+        const wall = v > top + 1 ? 0.7 : 1;
+        img.data[o] = r * wall; img.data[o + 1] = g * wall; img.data[o + 2] = b * wall; img.data[o + 3] = 255;
+      }
+      horizon = Math.max(0, top);
+    }
+  }
+  return img;
+}
+
+function drawSim() {
+  if (!$("showSim")?.checked || !toolSegs.length) return false;
+  simUpdate(Math.min(revealSegCount, toolSegs.length));
+  const mode3d = $("sim3d").checked;
+  if (!sim.image || sim.image.mode3d !== mode3d) {
+    const off = document.createElement("canvas");
+    const c2 = off.getContext("2d");
+    const img = mode3d ? sim3dImage(c2) : simTopImage(c2);
+    off.width = img.width; off.height = img.height;
+    c2.putImageData(img, 0, 0);
+    sim.image = { canvas: off, mode3d };
+  }
+
+  const off = sim.image.canvas;
+  const tl = w2s({ x: sim.minX, y: sim.minY + sim.ny * sim.cell });
+  const br = w2s({ x: sim.minX + sim.nx * sim.cell, y: sim.minY });
+  const w = br.x - tl.x, h = mode3d ? (br.x - tl.x) * off.height / off.width : br.y - tl.y;
+  ctx.save();
+  ctx.imageSmoothingEnabled = false;
+  ctx.globalAlpha = mode3d ? 1 : 0.9;
+  ctx.drawImage(off, tl.x, tl.y, w, h);
+  ctx.restore();
+  return mode3d;
+}
+
 // ---------------- Drawing ----------------
+function traceSeg(s) {
+  const a = w2s(s.a);
+  ctx.moveTo(a.x, a.y);
+  if (!isArc(s)) { const b = w2s(s.b); ctx.lineTo(b.x, b.y); return; }
+  const { r, a0, sweep } = arcSweep(s);
+  const c = w2s(s.c);
+  ctx.arc(c.x, c.y, r * view.scale, -a0, -(a0 + sweep), s.ccw);
+}
+
 function drawGrid() {
   const r = canvas.getBoundingClientRect();
   const w = r.width, h = r.height;
@@ -470,11 +536,21 @@ function drawGrid() {
 function drawGeom() {
   if (!geomSegs.length) return;
   ctx.save();
-  ctx.strokeStyle = "rgba(125,211,252,0.95)";
   ctx.lineWidth = 2;
+  const rows = new Map(layerOps.map(r => [r.layer, r]));
   for (const s of geomSegs) {
-    const a = w2s(s.a), b = w2s(s.b);
-    ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke();
+    const row = rows.get(s.layer || "0");
+    ctx.strokeStyle = layerColor(s.layer || "0");
+    ctx.globalAlpha = s.hidden || (row && !row.enabled) ? 0.25 : 1;
+    ctx.setLineDash(s.hidden ? [4, 4] : []);
+    ctx.beginPath();
+    if (s.point) {
+      // DXF points: small crosses
+      const c = w2s(s.a);
+      ctx.moveTo(c.x - 4, c.y); ctx.lineTo(c.x + 4, c.y);
+      ctx.moveTo(c.x, c.y - 4); ctx.lineTo(c.x, c.y + 4);
+    } else traceSeg(s);
+    ctx.stroke();
   }
   ctx.restore();
 }
@@ -491,6 +567,7 @@ function drawToolReveal() {
   for (let i = 0; i < n; i++) {
     const s = toolSegs[i];
     if (s.mode !== "RAPID") continue;
+    ctx.strokeStyle = s.collision ? "rgba(244,114,182,0.95)" : "rgba(122,167,255,0.35)";
     const a = w2s(s.a), b = w2s(s.b);
     ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke();
   }
@@ -502,9 +579,67 @@ function drawToolReveal() {
   for (let i = 0; i < n; i++) {
     const s = toolSegs[i];
     if (s.mode !== "CUT") continue;
-    ctx.strokeStyle = s.outOfBounds ? "rgba(251,191,36,0.95)" : "rgba(255,120,120,0.95)";
-    const a = w2s(s.a), b = w2s(s.b);
-    ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke();
+    ctx.strokeStyle = s.collision ? "rgba(244,114,182,0.95)"
+      : s.outOfBounds ? "rgba(251,191,36,0.95)"
+      : s.tab ? "rgba(52,211,153,0.95)"
+      : s.entry ? "rgba(196,181,253,0.95)"
+      : "rgba(255,120,120,0.95)";
+    ctx.beginPath(); traceSeg(s); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// drill hits: tool-sized circles with a cross, filled once the reveal reaches them
+function drawDrillMarks() {
+  const r = Math.max(4, toInch(Number($("toolDia").value) || 0) / 2 * view.scale);
+  ctx.save();
+  ctx.strokeStyle = "rgba(196,181,253,0.95)";
+  ctx.fillStyle = "rgba(196,181,253,0.45)";
+  ctx.lineWidth = 1.5;
+  toolSegs.forEach((s, i) => {
+    if (!s.drill) return;
+    const c = w2s(s.a);
+    ctx.beginPath(); ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+    if (i < revealSegCount) ctx.fill();
+    ctx.moveTo(c.x - r, c.y); ctx.lineTo(c.x + r, c.y);
+    ctx.moveTo(c.x, c.y - r); ctx.lineTo(c.x, c.y + r);
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+// clicked loop starts: hollow circles
+function drawLoopStarts() {
+  if (!loopStarts.length) return;
+  ctx.save();
+  ctx.strokeStyle = "rgba(250,204,21,0.9)";
+  ctx.lineWidth = 2;
+  for (const p of onCopies(loopStarts)) {
+    const c = w2s(p);
+    ctx.beginPath(); ctx.arc(c.x, c.y, 6, 0, Math.PI * 2); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+function drawTabsOverlay() {
+  if (!manualTabs.length && !tabMarks.length) return;
+  ctx.save();
+
+  // built tabs: short bars across the path
+  ctx.strokeStyle = "rgba(52,211,153,0.95)";
+  ctx.lineWidth = 5;
+  for (const t of tabMarks) {
+    const c = w2s(t), h = 7;
+    const dx = Math.cos(t.dir) * h, dy = -Math.sin(t.dir) * h;
+    ctx.beginPath(); ctx.moveTo(c.x - dy, c.y - dx); ctx.lineTo(c.x + dy, c.y + dx); ctx.stroke();
+  }
+
+  // clicked tabs: hollow squares
+  ctx.strokeStyle = "rgba(52,211,153,0.85)";
+  ctx.lineWidth = 2;
+  for (const p of onCopies(manualTabs)) {
+    const c = w2s(p);
+    ctx.strokeRect(c.x - 5, c.y - 5, 10, 10);
   }
   ctx.restore();
 }
@@ -518,260 +653,160 @@ function draw() {
   drawMachineOverlay();
   drawStockOverlay();
 
+  // the 3D stock view replaces the flat drawing
+  if (drawSim()) return;
+
   // geometry + toolpath
   drawGeom();
+  drawSelection();
   drawToolReveal();
+  drawDrillMarks();
+  drawTabsOverlay();
+  drawLoopStarts();
+  drawKeepOuts();
+  drawGeometryIssues();
 }
 
-// ---------------- Toolpath planning ----------------
-function angle(a, b) { return Math.atan2(b.y - a.y, b.x - a.x); }
-function normAng(x) { while (x < -Math.PI) x += 2 * Math.PI; while (x > Math.PI) x -= 2 * Math.PI; return x; }
+// ---------------- Machine profiles ----------------
+const MACHINE_FIELDS = {
+  travelX: "mcTravelX", travelY: "mcTravelY", travelZ: "mcTravelZ",
+  maxFeedXY: "mcMaxFeedXY", maxFeedZ: "mcMaxFeedZ", rapidXY: "mcRapidXY", rapidZ: "mcRapidZ",
+  rpmMin: "mcRpmMin", rpmMax: "mcRpmMax", accel: "mcAccel"
+};
 
-function mergeCollinear(chain, tol) {
-  const out = [];
-  const eps = Math.max(1e-12, tol * tol);
-  function collinear(a, b, c) {
-    return Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) <= eps;
-  }
-  let i = 0;
-  while (i < chain.length) {
-    let a = chain[i].a, b = chain[i].b;
-    let j = i + 1;
-    while (j < chain.length) {
-      const n = chain[j];
-      if (!samePt(b, n.a, tol)) break;
-      if (!collinear(a, b, n.b)) break;
-      b = n.b;
-      j++;
+function loadMachines() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MACHINES_KEY) || "null");
+    if (saved && Array.isArray(saved.list) && saved.list.length) {
+      saved.list = saved.list.map(m => ({ ...DEFAULT_MACHINES[0], ...m }));
+      return saved;
     }
-    out.push({ a, b });
-    i = j;
+  } catch (err) {
+    console.warn("Machine profiles unreadable, using defaults", err);
   }
-  return out;
+  return { list: DEFAULT_MACHINES.map(m => ({ ...m })), active: DEFAULT_MACHINES[0].id };
 }
 
-function buildPaths(lines, opts) {
-  const g = opts.snapGrid;
-  const tol = g * 0.55;
-  const angTol = degToRad(opts.angleTolDeg);
-  const minLen = Math.max(opts.outPrec * 0.8, g * 0.5);
-
-  const L = lines
-    .map(s => ({ a: snapPoint(s.a, g), b: snapPoint(s.b, g) }))
-    .filter(s => dist(s.a, s.b) >= minLen);
-
-  const key = (p) => `${Math.round(p.x / g)},${Math.round(p.y / g)}`;
-  const map = new Map();
-  for (let i = 0; i < L.length; i++) {
-    const k = key(L[i].a);
-    if (!map.has(k)) map.set(k, []);
-    map.get(k).push(i);
-  }
+function saveMachines() {
+  try { localStorage.setItem(MACHINES_KEY, JSON.stringify(machines)); }
+  catch (err) { console.warn("Could not save machine profiles", err); }
+}
 
-  const used = new Array(L.length).fill(false);
-  const paths = [];
-
-  for (let i = 0; i < L.length; i++) {
-    if (used[i]) continue;
-    used[i] = true;
-
-    const chain = [L[i]];
-    let cur = L[i];
-
-    while (true) {
-      const end = cur.b;
-      const cand = map.get(key(end)) || [];
-      const d0 = angle(cur.a, cur.b);
-
-      let best = -1, bestScore = Infinity;
-      for (const idx of cand) {
-        if (used[idx]) continue;
-        const s = L[idx];
-        if (!samePt(end, s.a, tol)) continue;
-        const d1 = angle(s.a, s.b);
-        const da = Math.abs(normAng(d1 - d0));
-        if (da <= angTol && da < bestScore) {
-          best = idx; bestScore = da;
-        }
-      }
-      if (best === -1) break;
-      used[best] = true;
-      chain.push(L[best]);
-      cur = L[best];
-    }
+function activeMachine() {
+  if (!machines) machines = loadMachines();
+  return machines.list.find(m => m.id === machines.active) || machines.list[0];
+}
 
-    const merged = mergeCollinear(chain, g);
-    if (merged.length) paths.push({ segs: merged });
-  }
+function renderMachineUI() {
+  const m = activeMachine();
+  $("machineSel").innerHTML = machines.list.map(x =>
+    `<option value="${escapeHtml(x.id)}" ${x.id === m.id ? "selected" : ""}>${escapeHtml(x.name)}</option>`).join("");
+  $("machineDelete").disabled = machines.list.length <= 1;
+  $("mcName").value = m.name;
+  for (const [k, id] of Object.entries(MACHINE_FIELDS)) $(id).value = String(MACHINE_LENGTH_KEYS.includes(k) ? shownLen(m[k]) : m[k]);
+  $("mcHome").value = m.home;
+  $("mcZero").value = m.zero;
+  $("mcDirX").value = String(m.dirX);
+  $("mcDirY").value = String(m.dirY);
+  $("mcPost").innerHTML = Object.entries(POSTS).map(([id, p]) =>
+    `<option value="${id}" ${id === m.post ? "selected" : ""}>${escapeHtml(p.name)}</option>`).join("");
+
+  const homeText = { tl: "top-left", tr: "top-right", bl: "bottom-left", br: "bottom-right" }[m.home];
+  $("machineNote").textContent = `Footprint: ${m.name} — X travel = ${fmtLen(m.travelX, 0.01)}, Y travel = ${fmtLen(m.travelY, 0.01)}. HOME dot = ${homeText}.`;
+  $("zeroNote").textContent = m.zero === "home"
+    ? `Home-zero workflow: work 0,0 is at the ${homeText} corner of travel.`
+    : `Center-zero workflow: keep geometry within ±${fmtLen(m.travelX / 2, 0.01)} (X) and ±${fmtLen(m.travelY / 2, 0.01)} (Y) to avoid overtravel.`;
+}
 
-  return paths;
-}
-
-function orderNearest(paths) {
-  const rem = paths.slice();
-  if (rem.length <= 1) return rem;
-  const out = [rem.shift()];
-  let curPt = out[0].segs[out[0].segs.length - 1].b;
-
-  while (rem.length) {
-    let bestI = -1, bestD = Infinity, flip = false;
-    for (let i = 0; i < rem.length; i++) {
-      const p = rem[i];
-      const a = p.segs[0].a;
-      const b = p.segs[p.segs.length - 1].b;
-      const dA = dist(curPt, a);
-      const dB = dist(curPt, b);
-      if (dA < bestD) { bestD = dA; bestI = i; flip = false; }
-      if (dB < bestD) { bestD = dB; bestI = i; flip = true; }
-    }
-    let next = rem.splice(bestI, 1)[0];
-    if (flip) next = { segs: next.segs.slice().reverse().map(s => ({ a: s.b, b: s.a })) };
-    out.push(next);
-    curPt = next.segs[next.segs.length - 1].b;
-  }
-  return out;
-}
-
-function mergeContinuous(paths, chainTol) {
-  if (paths.length <= 1) return paths;
-  const out = [];
-  let cur = paths[0];
-  for (let i = 1; i < paths.length; i++) {
-    const nxt = paths[i];
-    const ce = cur.segs[cur.segs.length - 1].b;
-    const ns = nxt.segs[0].a;
-    if (samePt(ce, ns, chainTol)) cur = { segs: cur.segs.concat(nxt.segs) };
-    else { out.push(cur); cur = nxt; }
+function readMachineFromUI() {
+  const m = activeMachine();
+  m.name = $("mcName").value.trim() || m.name;
+  for (const [k, id] of Object.entries(MACHINE_FIELDS)) {
+    const v = Number($(id).value);
+    if (isFinite(v) && v >= 0) m[k] = MACHINE_LENGTH_KEYS.includes(k) ? toInch(v) : v;
   }
-  out.push(cur);
-  return out;
+  m.home = $("mcHome").value;
+  m.zero = $("mcZero").value;
+  m.dirX = Number($("mcDirX").value) < 0 ? -1 : 1;
+  m.dirY = Number($("mcDirY").value) < 0 ? -1 : 1;
+  const postChanged = m.post !== $("mcPost").value;
+  m.post = $("mcPost").value;
+  saveMachines();
+  if (postChanged && ncText) setStatus("warn", "Post changed", "Build again to regenerate the NC in the new dialect.");
+  renderMachineUI();
+  draw();
 }
 
-// ---------------- Machine bounds check ----------------
-function toMachineCoords(p) {
-  // Center-zero -> machine coords: [0..travel]
-  return { x: p.x + MACHINE_CENTER_SHIFT.x, y: p.y + MACHINE_CENTER_SHIFT.y };
-}
-function insideMachine(pm) {
-  return (pm.x >= 0 && pm.x <= MACHINE_X_TRAVEL && pm.y >= 0 && pm.y <= MACHINE_Y_TRAVEL);
+// ---------------- Keep-outs ----------------
+// Clamps, fixtures and screws as rectangles in work coordinates (they stay put when
+// the drawing is scaled or rotated). Cuts may not come within the tool radius of one.
+let keepOuts = [];        // [{ minX, minY, maxX, maxY }]
+let keepOutDraft = null;  // rectangle being dragged on the canvas
+// Drag draws a keep-out; a click inside one removes it.
+function keepOutMouseDown(e) {
+  const r = canvas.getBoundingClientRect();
+  const p = s2w(e.clientX - r.left, e.clientY - r.top);
+  keepOutDraft = { start: p, rect: rectFromPts(p, p) };
 }
-function checkOvertravelAndMark(toolSegments) {
-  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-
-  for (const s of toolSegments) {
-    const am = toMachineCoords(s.a);
-    const bm = toMachineCoords(s.b);
-
-    minX = Math.min(minX, am.x, bm.x);
-    maxX = Math.max(maxX, am.x, bm.x);
-    minY = Math.min(minY, am.y, bm.y);
-    maxY = Math.max(maxY, am.y, bm.y);
 
-    s.outOfBounds = !(insideMachine(am) && insideMachine(bm));
-  }
-
-  return {
-    minX, maxX, minY, maxY,
-    isOver: (minX < 0) || (maxX > MACHINE_X_TRAVEL) || (minY < 0) || (maxY > MACHINE_Y_TRAVEL)
-  };
+function keepOutMouseMove(e) {
+  if (!keepOutDraft) return;
+  const r = canvas.getBoundingClientRect();
+  keepOutDraft.rect = rectFromPts(keepOutDraft.start, s2w(e.clientX - r.left, e.clientY - r.top));
+  draw();
 }
 
-// ---------------- NC generation ----------------
-function buildProgram(paths, opts) {
-  const P = opts.outPrec;
-  const safeZ = opts.safeZ;
-  const depth = opts.depth;
-  const step = opts.stepDown;
-  const passes = Math.max(1, Math.ceil(depth / step));
-  const zPass = [];
-  for (let i = 1; i <= passes; i++) zPass.push(-Math.min(depth, i * step));
-
-  const lines = [];
-  const segs = [];
-
-  const push = (line) => { lines.push(line); return lines.length - 1; };
-  const outXY = (x, y) => `X${fmt(x, P)} Y${fmt(y, P)}`;
-  const outZ = (z) => `Z${fmt(z, P)}`;
-
-  push("%");
-  push("(NorrisCAM - USB G-code)");
-  push(opts.toolComment);
-  push("G90 (absolute)");
-  push("G94 (feed/min)");
-  push("G17 (XY plane)");
-  push("G20 (inches)");
-  push("G40 (cancel cutter comp)");
-  push("G49 (cancel tool length offset)");
-  push("G54 (work offset)");
-  push(`M3 S${opts.rpm} (spindle on)`);
-  push(`G0 ${outZ(safeZ)}`);
-
-  let curXY = { x: 0, y: 0 };
-  let curZ = safeZ;
-  let lastF = null;
-
-  function retract() {
-    if (curZ !== safeZ) {
-      push(`G0 ${outZ(safeZ)}`);
-      curZ = safeZ;
-    }
-  }
-  function rapidTo(x, y) {
-    const a = { ...curXY }, b = { x, y };
-    const ln = push(`G0 ${outXY(x, y)}`);
-    segs.push({ a, b, mode: "RAPID", ncLineIdx: ln });
-    curXY = b;
-  }
-  function plunge(z) {
-    const ln = push(lastF === opts.feedZ ? `G1 ${outZ(z)}` : `G1 ${outZ(z)} F${fmt(opts.feedZ, 0.1)}`);
-    lastF = opts.feedZ;
-    curZ = z;
-    return ln;
-  }
-  function setFeedXY() {
-    if (lastF !== opts.feedXY) {
-      push(`F${fmt(opts.feedXY, 0.1)}`);
-      lastF = opts.feedXY;
-    }
-  }
-  function cutTo(x, y) {
-    const a = { ...curXY }, b = { x, y };
-    const ln = push(`G1 ${outXY(x, y)}`);
-    segs.push({ a, b, mode: "CUT", ncLineIdx: ln });
-    curXY = b;
+function keepOutMouseUp() {
+  if (!keepOutDraft) return;
+  const { start, rect } = keepOutDraft;
+  keepOutDraft = null;
+  const minSize = 6 / view.scale;
+  if (rect.maxX - rect.minX < minSize && rect.maxY - rect.minY < minSize) {
+    const hit = keepOuts.findIndex(k => start.x >= k.minX && start.x <= k.maxX && start.y >= k.minY && start.y <= k.maxY);
+    if (hit >= 0) keepOuts.splice(hit, 1);
+  } else {
+    keepOuts.push(rect);
   }
+  draw();
+  recordHistory("Edit keep-outs");
+  setStatus("ok", "Keep-outs", `${keepOuts.length} keep-out(s) • Build toolpath again.`);
+}
 
-  for (const z of zPass) {
-    retract();
-
-    for (const p of paths) {
-      if (!p.segs.length) continue;
-      const start = p.segs[0].a;
-
-      if (!samePt(curXY, start, opts.chainTol)) {
-        retract();
-        rapidTo(start.x, start.y);
-        plunge(z);
-        setFeedXY();
-      } else {
-        if (curZ !== z) plunge(z);
-        setFeedXY();
-      }
-
-      for (const s of p.segs) cutTo(s.b.x, s.b.y);
+function drawKeepOuts() {
+  const list = keepOutDraft ? [...keepOuts, keepOutDraft.rect] : keepOuts;
+  if (!list.length) return;
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.font = "900 11px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  list.forEach((k, i) => {
+    const p = w2s({ x: k.minX, y: k.maxY }), q = w2s({ x: k.maxX, y: k.minY });
+    ctx.fillStyle = "rgba(244,114,182,0.14)";
+    ctx.strokeStyle = "rgba(244,114,182,0.85)";
+    ctx.setLineDash(i >= keepOuts.length ? [6, 4] : []);
+    ctx.fillRect(p.x, p.y, q.x - p.x, q.y - p.y);
+    ctx.strokeRect(p.x, p.y, q.x - p.x, q.y - p.y);
+    if (i < keepOuts.length) {
+      ctx.fillStyle = "rgba(244,114,182,0.95)";
+      ctx.fillText(`KEEP-OUT ${i + 1}`, p.x + 4, p.y + 13);
     }
+  });
+  ctx.restore();
+}
 
-    retract();
-  }
-
-  push(`G0 ${outZ(safeZ)}`);
-  push("M5 (spindle stop)");
-  push("M30 (end)");
-  push("%");
-
-  return { ncLines: lines, ncText: lines.join("\n"), toolSegs: segs };
+function renderCollisions(hits) {
+  shownCollisions = hits;
+  const box = $("collisionList");
+  if (!box) return;
+  if (!hits.length) { box.innerHTML = ""; return; }
+  const rows = hits.slice(0, 200).map(x =>
+    `<div class="collisionRow" data-seg="${x.idx}">Line ${x.line + 1}: ${x.mode} ${escapeHtml(x.what)}</div>`);
+  if (hits.length > 200) rows.push(`<div class="hint">…and ${hits.length - 200} more</div>`);
+  box.innerHTML = rows.join("");
 }
 
+// ---------------- G-code back-plot ----------------
+const NC_FILE_RE = /\.(dat|nc|ngc|tap|gcode|gc|cnc|txt)$/i;
+
 // ---------------- NC reveal rendering ----------------
 function escapeHtml(s) {
   return s.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
@@ -783,7 +818,7 @@ function renderNC() {
   if (!box) return;
 
   if (!ncLines.length) {
-    box.innerHTML = `<div class="ncLine"><div class="ln">----</div><div class="code">DAT will appear here after Build…</div></div>`;
+    box.innerHTML = `<div class="ncLine"><div class="ln">----</div><div class="code">NC will appear here after Build…</div></div>`;
     return;
   }
 
@@ -851,8 +886,10 @@ function step(dir) {
 function setTab(which) {
   $("tabMain").classList.toggle("active", which === "main");
   $("tabOptions").classList.toggle("active", which === "options");
+  $("tabLayers").classList.toggle("active", which === "layers");
   $("paneMain").classList.toggle("active", which === "main");
   $("paneOptions").classList.toggle("active", which === "options");
+  $("paneLayers").classList.toggle("active", which === "layers");
 }
 
 // ---------------- Transform actions ----------------
@@ -868,7 +905,8 @@ function applyTransform(keepViewStable = true) {
   if (!baseGeomSegs.length) return;
 
   readTransformFromUI();
-  geomSegs = transformSegs(baseGeomSegs, currentScale, currentRotDeg);
+  const arranged = placedGeometry();
+  geomSegs = arranged.segs;
 
   if (keepViewStable) {
     if (!viewLocked) lockView();
@@ -877,8 +915,11 @@ function applyTransform(keepViewStable = true) {
   }
 
   toolSegs = [];
+  tabMarks = [];
   ncLines = [];
   ncText = "";
+  renderCollisions([]);
+  recheckGeometry();
   revealSegCount = 0;
   currentNCLine = -1;
   shownNCMax = -1;
@@ -888,7 +929,9 @@ function applyTransform(keepViewStable = true) {
 
   renderNC();
   draw();
-  setStatus("ok", "Transform applied", `Scale=${formatPercent(currentScale * 100)} • Rotate=${Math.round(currentRotDeg)}° • Build toolpath again.`);
+  const copies = arranged.copies > 1 ? ` • Copies: ${arranged.copies}` : "";
+  setStatus(arranged.notes.length ? "warn" : "ok", "Transform applied",
+    [`Scale=${formatPercent(currentScale * 100)} • Rotate=${Math.round(currentRotDeg)}°${copies} • Build toolpath again.`, ...arranged.notes].join(" • "));
 }
 
 function computeFitScaleForRotation(baseSegs, rotDeg) {
@@ -897,8 +940,8 @@ function computeFitScaleForRotation(baseSegs, rotDeg) {
   const w = (b.maxX - b.minX) || 1;
   const h = (b.maxY - b.minY) || 1;
 
-  const maxW = MACHINE_X_TRAVEL;
-  const maxH = MACHINE_Y_TRAVEL;
+  const maxW = activeMachine().travelX;
+  const maxH = activeMachine().travelY;
 
   const factor = Math.min(maxW / w, maxH / h) * 0.98;
   return Math.max(0.00001, factor);
@@ -921,20 +964,713 @@ function resetTransform() {
   applyTransform(true);
 }
 
+// ---------------- Copies (step-and-repeat + nesting) ----------------
+function readCopyOpts() {
+  const int = (id, min) => Math.max(min, Math.floor(Number($(id).value) || 0));
+  return {
+    mode: $("copyMode").value || "one",
+    rows: int("copyRows", 1),
+    cols: int("copyCols", 1),
+    count: int("copyCount", 0),
+    spacing: Math.max(0, toInch(Number($("copySpacing").value) || 0)),
+    margin: Math.max(0, toInch(Number($("copyMargin").value) || 0)),
+    toolDia: Math.max(0, toInch(Number($("toolDia").value) || 0))
+  };
+}
+
+// ---------------- Layer operations ----------------
+const LAYER_COLORS = [
+  "rgba(125,211,252,0.95)", "rgba(251,146,60,0.95)", "rgba(167,139,250,0.95)", "rgba(74,222,128,0.95)",
+  "rgba(244,114,182,0.95)", "rgba(250,204,21,0.95)", "rgba(45,212,191,0.95)", "rgba(248,113,113,0.95)"
+];
+
+// One row per layer in the import; rows for layers seen before keep their settings.
+function syncLayerOps(segs) {
+  const prev = new Map(layerOps.map(r => [r.layer, r]));
+  layerOps = segLayers(segs).map(layer => prev.get(layer) || {
+    layer, enabled: true, ...guessLayerOp(layer), depth: null, stepDown: null, feedXY: null
+  });
+  renderLayerOps();
+}
+
+function layerColor(name) {
+  const i = layerOps.findIndex(r => r.layer === name);
+  return LAYER_COLORS[Math.max(0, i) % LAYER_COLORS.length];
+}
+
+function renderLayerOps() {
+  const body = $("layerOpsBody");
+  if (!body) return;
+  if (!layerOps.length) {
+    body.innerHTML = `<tr><td colspan="7" class="hint">Import a DXF or SVG to list its layers.</td></tr>`;
+    return;
+  }
+  const num = (i, k, v, step) =>
+    `<input type="number" data-i="${i}" data-k="${k}" step="${step}" value="${v ?? ""}" placeholder="Main" />`;
+  const len = (v) => v == null ? null : shownLen(v);
+  body.innerHTML = layerOps.map((r, i) => `<tr>
+    <td><input type="checkbox" data-i="${i}" data-k="enabled" ${r.enabled ? "checked" : ""} /></td>
+    <td><span class="swatch" style="background:${layerColor(r.layer)}"></span>${escapeHtml(r.layer)}</td>
+    <td><select data-i="${i}" data-k="op">${Object.entries(LAYER_OP_LABELS).map(([v, t]) =>
+      `<option value="${v}" ${v === r.op ? "selected" : ""}>${t}</option>`).join("")}</select></td>
+    <td>${num(i, "depth", len(r.depth), 0.001)}</td>
+    <td>${num(i, "stepDown", len(r.stepDown), 0.001)}</td>
+    <td>${num(i, "feedXY", len(r.feedXY), 1)}</td>
+    <td>${num(i, "order", r.order, 1)}</td>
+  </tr>`).join("");
+}
+
+function readLayerOpInput(el) {
+  const r = layerOps[Number(el.dataset.i)];
+  const k = el.dataset.k;
+  if (!r) return;
+  if (k === "enabled") r.enabled = el.checked;
+  else if (k === "op") r.op = el.value;
+  else if (k === "order") r.order = Number(el.value) || 0;
+  else r[k] = el.value === "" || !(Number(el.value) > 0) ? null : toInch(Number(el.value));
+}
+
+// ---------------- Manual tabs ----------------
+function setCanvasTool(tool) {
+  canvasTool = tool;
+  canvas.style.cursor = tool === "pan" ? "" : "crosshair";
+}
+
+// Click adds a tab; clicking an existing tab marker removes it.
+function toggleManualTab(e) {
+  if (!geomSegs.length) return;
+  const r = canvas.getBoundingClientRect();
+  const sx = e.clientX - r.left, sy = e.clientY - r.top;
+
+  const hit = pickMarker(manualTabs, sx, sy);
+  if (hit >= 0) manualTabs.splice(hit, 1);
+  else manualTabs.push(clickedPartPt(sx, sy));
+
+  draw();
+  recordHistory(hit >= 0 ? "Remove tab" : "Add tab");
+  setStatus("ok", "Tabs", `${manualTabs.length} clicked tab(s) • Build toolpath again.`);
+}
+
+// Click sets where the nearest closed loop starts; clicking a marker removes it.
+function toggleLoopStart(e) {
+  if (!geomSegs.length) return;
+  const r = canvas.getBoundingClientRect();
+  const sx = e.clientX - r.left, sy = e.clientY - r.top;
+
+  const hit = pickMarker(loopStarts, sx, sy);
+  if (hit >= 0) loopStarts.splice(hit, 1);
+  else loopStarts.push(clickedPartPt(sx, sy));
+
+  draw();
+  recordHistory(hit >= 0 ? "Remove loop start" : "Set loop start");
+  setStatus("ok", "Loop starts", `${loopStarts.length} start point(s) • Build toolpath again.`);
+}
+
+// ---------------- Contour selection ----------------
+// Click picks the contour under the cursor, a drag picks every contour inside the box;
+// Shift adds to the selection. Edits apply to the source segments, so every copy follows.
+let contourEdits = {};       // segKey → { hidden, deleted, reversed, depth }
+let selectedKeys = new Set(); // segKeys of the selected contours
+let selectDraft = null;      // box being dragged on the canvas
+
+// Drawing transformed, repaired, with the contour edits, laid out as copies.
+function placedGeometry() {
+  const part = applyContourEdits(repairGeometry(transformSegs(baseGeomSegs, currentScale, currentRotDeg), repairs), contourEdits);
+  const arranged = arrangeCopies(part, readCopyOpts(), readStockSize());
+  copyPlacements = arranged.placements;
+  partBox = part.length ? bounds(part) : null;
+  return arranged;
+}
+
+// Tabs and loop starts are kept on the part; on screen and in the build they go on every copy.
+function onCopies(pts) {
+  return placeOnCopies(pts.map(p => transformPt(p, currentScale, currentRotDeg)), copyPlacements);
+}
+
+function clickedPartPt(sx, sy) {
+  const w = s2w(sx, sy);
+  return untransformPt(partBox ? unplacePt(w, copyPlacements, partBox) : w, currentScale, currentRotDeg);
+}
+
+// Index of the stored point whose marker (on any copy) is under the click, or -1.
+function pickMarker(pts, sx, sy) {
+  const hit = onCopies(pts).findIndex(p => {
+    const c = w2s(p);
+    return Math.abs(c.x - sx) <= 8 && Math.abs(c.y - sy) <= 8;
+  });
+  return hit < 0 ? -1 : hit % pts.length;
+}
+
+function selectMouseDown(e) {
+  const r = canvas.getBoundingClientRect();
+  const p = s2w(e.clientX - r.left, e.clientY - r.top);
+  selectDraft = { start: p, rect: rectFromPts(p, p), add: e.shiftKey };
+}
+
+function selectMouseMove(e) {
+  if (!selectDraft) return;
+  const r = canvas.getBoundingClientRect();
+  selectDraft.rect = rectFromPts(selectDraft.start, s2w(e.clientX - r.left, e.clientY - r.top));
+  draw();
+}
+
+function selectMouseUp() {
+  if (!selectDraft) return;
+  const { start, rect, add } = selectDraft;
+  selectDraft = null;
+  const groups = contourGroups(geomSegs, readOpts().chainTol).map(g => g.map(i => geomSegs[i]));
+  const minSize = 6 / view.scale;
+  let picked;
+  if (rect.maxX - rect.minX < minSize && rect.maxY - rect.minY < minSize) {
+    // nearest segment within a few pixels
+    let best = null, bestD = 6 / view.scale;
+    for (const g of groups) {
+      for (const s of g) {
+        const d = s.point ? dist(start, s.a) : distToSegment(start, s);
+        if (d <= bestD) { best = g; bestD = d; }
+      }
+    }
+    picked = best ? [best] : [];
+  } else {
+    picked = groups.filter(g => {
+      const b = bounds(g);
+      return b.minX >= rect.minX && b.maxX <= rect.maxX && b.minY >= rect.minY && b.maxY <= rect.maxY;
+    });
+  }
+
+  const keys = picked.flatMap(g => g.map(s => s.src));
+  if (!add) selectedKeys = new Set(keys);
+  else if (picked.length === 1 && keys.every(k => selectedKeys.has(k))) keys.forEach(k => selectedKeys.delete(k));
+  else keys.forEach(k => selectedKeys.add(k));
+  renderSelection();
+  draw();
+}
+
+function clearSelection() {
+  selectedKeys = new Set();
+  renderSelection();
+  draw();
+}
+
+function renderSelection() {
+  const n = contourGroups(geomSegs.filter(s => selectedKeys.has(s.src)), readOpts().chainTol).length;
+  for (const id of ["hideContours", "deleteContours", "reverseContours", "contourDepth"]) $(id).disabled = !selectedKeys.size;
+  $("showContours").disabled = !Object.values(contourEdits).some(e => e.hidden || e.deleted);
+  $("selectionNote").textContent = selectedKeys.size ? `${n} selected` : "";
+}
+
+// Applies change(edit) to every selected segment's edit; empty edits are dropped.
+function editSelection(label, change) {
+  if (!selectedKeys.size) return;
+  const next = { ...contourEdits };
+  for (const k of selectedKeys) {
+    const e = change({ ...next[k] });
+    if (Object.values(e).some(v => v != null && v !== false)) next[k] = e;
+    else delete next[k];
+  }
+  contourEdits = next;
+  if (Object.values(next).some(e => e.deleted)) selectedKeys = new Set([...selectedKeys].filter(k => !next[k]?.deleted));
+  geomSegs = placedGeometry().segs;
+  recheckGeometry();
+  renderSelection();
+  draw();
+  recordHistory(label);
+  setStatus("ok", label, "Build toolpath again.");
+}
+
+function hideSelection() {
+  const allHidden = [...selectedKeys].every(k => contourEdits[k]?.hidden);
+  editSelection(allHidden ? "Show contours" : "Hide contours", e => ({ ...e, hidden: !allHidden }));
+}
+
+function setSelectionDepth() {
+  const given = prompt(`Depth for the selected contours (${unitInfo().name}, blank = layer/Main depth):`, "");
+  if (given === null) return;
+  const v = Number(given);
+  if (given.trim() && !(v > 0)) { alert("Enter a depth greater than 0, or leave it blank."); return; }
+  editSelection(given.trim() ? `Contour depth → ${given.trim()}` : "Clear contour depth", e => ({ ...e, depth: given.trim() ? toInch(v) : null }));
+}
+
+// Un-hides and brings back every hidden or deleted contour.
+function showAllContours() {
+  const next = {};
+  for (const [k, e] of Object.entries(contourEdits)) {
+    const { hidden, deleted, ...rest } = e;
+    if (Object.values(rest).some(v => v != null && v !== false)) next[k] = rest;
+  }
+  contourEdits = next;
+  geomSegs = placedGeometry().segs;
+  recheckGeometry();
+  renderSelection();
+  draw();
+  recordHistory("Show all contours");
+}
+
+function drawSelection() {
+  ctx.save();
+  if (selectedKeys.size) {
+    ctx.lineWidth = 5;
+    ctx.strokeStyle = "rgba(250,204,21,0.55)";
+    ctx.beginPath();
+    for (const s of geomSegs) {
+      if (!selectedKeys.has(s.src)) continue;
+      if (s.point) {
+        const c = w2s(s.a);
+        ctx.moveTo(c.x + 6, c.y);
+        ctx.arc(c.x, c.y, 6, 0, 2 * Math.PI);
+      } else traceSeg(s);
+    }
+    ctx.stroke();
+  }
+  if (selectDraft) {
+    const p = w2s({ x: selectDraft.rect.minX, y: selectDraft.rect.maxY });
+    const q = w2s({ x: selectDraft.rect.maxX, y: selectDraft.rect.minY });
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = "rgba(250,204,21,0.9)";
+    ctx.strokeRect(p.x, p.y, q.x - p.x, q.y - p.y);
+  }
+  ctx.restore();
+}
+
+// ---------------- Geometry check ----------------
+// Check marks what would trip the chainer; the fixes are kept as a list and replayed by
+// placedGeometry, so they survive a rebuild and can be undone.
+let repairs = [];          // [{ fix: "dedupe" | "close" | "join", tol }]
+let geometryIssues = [];   // [{ kind, at }] from the last check, drawn as markers
+
+const GEOMETRY_MARKS = { zero: "0", tiny: "T", duplicate: "D", overlap: "O", gap: "G", open: "C", cross: "X" };
+
+function runGeometryCheck() {
+  geometryIssues = geomSegs.length ? checkGeometry(geomSegs, readOpts(), toInch(Math.max(0, Number($("gapTol").value) || 0))) : [];
+  renderGeometryIssues();
+  draw();
+  return geometryIssues;
+}
+
+// Markers follow the drawing: a shown check runs again after anything that moves it.
+function recheckGeometry() {
+  if (geometryIssues.length) runGeometryCheck();
+}
+
+function clearGeometryIssues() {
+  geometryIssues = [];
+  renderGeometryIssues();
+}
+
+function renderGeometryIssues() {
+  const box = $("geometryList");
+  $("clearRepairs").disabled = !repairs.length;
+  if (!geometryIssues.length) { box.innerHTML = ""; return; }
+  const rows = geometryIssues.slice(0, 200).map((x, i) =>
+    `<div class="geometryRow" data-i="${i}">${GEOMETRY_MARKS[x.kind]} • ${GEOMETRY_ISSUES[x.kind]}` +
+    `${x.size ? ` (${fmtLen(x.size, 0.001)})` : ""} at X${lenNum(x.at.x)} Y${lenNum(x.at.y)}</div>`);
+  if (geometryIssues.length > 200) rows.push(`<div class="hint">…and ${geometryIssues.length - 200} more</div>`);
+  box.innerHTML = rows.join("");
+}
+
+function applyRepair(fix, label) {
+  if (!geomSegs.length) return;
+  const tol = toInch(Math.max(0, Number($("gapTol").value) || 0));
+  if (!(tol > 0)) { alert("Set Gap tol above 0 first."); return; }
+  repairs = [...repairs, { fix, tol }];
+  geomSegs = placedGeometry().segs;
+  const left = describeGeometryIssues(runGeometryCheck());
+  recordHistory(label);
+  setStatus(left.length ? "warn" : "ok", label, [left.length ? `Still: ${left.join(", ")}` : "Geometry check clean", "Build toolpath again."].join(" • "));
+}
+
+function clearRepairs() {
+  repairs = [];
+  geomSegs = placedGeometry().segs;
+  recheckGeometry();
+  renderGeometryIssues();
+  draw();
+  recordHistory("Clear fixes");
+}
+
+function drawGeometryIssues() {
+  if (!geometryIssues.length) return;
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.font = "900 10px system-ui, -apple-system, Segoe UI, Roboto, Arial";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (const x of geometryIssues) {
+    const c = w2s(x.at);
+    ctx.strokeStyle = "rgba(251,146,60,0.95)";
+    ctx.fillStyle = "rgba(251,146,60,0.20)";
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, 8, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "rgba(251,146,60,0.95)";
+    ctx.fillText(GEOMETRY_MARKS[x.kind], c.x, c.y + 0.5);
+  }
+  ctx.restore();
+}
+
+// ---------------- Projects ----------------
+// A project is the source drawing plus everything needed to build it again: every
+// setting field, the machine profile, the canvas edits (tabs, starts, keep-outs,
+// contour edits) and the geometry fixes.
+const PROJECT_FORMAT = "norriscam-project";
+const PROJECT_FIELDS = [
+  "units", "importUnits", "stockW", "stockH", "stockT", "scalePct", "rotDeg",
+  "spindleRPM", "safeZ", "cutZ", "stepDown", "feedXY", "feedZ", "origin", "toolComment", "toolDia", "profileSide",
+  "operation", "stepoverPct", "tabCount", "tabWidth", "tabHeight", "cutDirection", "loopStart",
+  "drillMaxDia", "drillCycle", "peckDepth", "copyMode", "copyRows", "copyCols", "copySpacing", "copyMargin", "copyCount", "routeRapids",
+  "outPrec", "snapGrid", "angleTolDeg", "chainTol", "gapTol", "entry", "rampAngleDeg", "arcOutput", "splineFit"
+];
+
+function captureProject() {
+  if (!sourceDoc) return null;
+  const fields = {};
+  for (const id of PROJECT_FIELDS) fields[id] = $(id).value;
+  return {
+    format: PROJECT_FORMAT,
+    version: 1,
+    source: { name: sourceDoc.name, text: sourceDoc.text },
+    fields,
+    machine: { ...activeMachine() },
+    manualTabs, loopStarts, keepOuts, layerOps, contourEdits, repairs
+  };
+}
+
+// Puts the page back in the saved state, ready to Build. Throws on anything that is
+// not a project this version can read.
+function restoreProject(p) {
+  if (!p || p.format !== PROJECT_FORMAT || !p.source?.text) throw new Error("Not a NorrisCAM project file");
+  if (p.version > 1) throw new Error(`Project version ${p.version} is newer than this NorrisCAM`);
+  // units first: the saved fields are in the unit they were saved in
+  shownUnits = unitInfo(p.fields?.units).name;
+  for (const id of PROJECT_FIELDS) {
+    if (p.fields?.[id] !== undefined) $(id).value = p.fields[id];
+  }
+  const doc = parseSourceDoc(p.source.name, p.source.text, $("importUnits").value, shownUnits);
+
+  // saved profile: select it, or add it when this browser has never seen it
+  activeMachine();
+  if (p.machine?.id) {
+    if (!machines.list.some(m => m.id === p.machine.id)) machines.list.push({ ...DEFAULT_MACHINES[0], ...p.machine });
+    machines.active = p.machine.id;
+    saveMachines();
+    renderMachineUI();
+  }
+
+  const opts = readOpts();
+  sourceDoc = doc;
+  baseGeomSegs = applyOriginShift(sourceSegments(doc, opts.outPrec, opts.splineArcs), opts.origin);
+  manualTabs = p.manualTabs || [];
+  loopStarts = p.loopStarts || [];
+  keepOuts = p.keepOuts || [];
+  layerOps = p.layerOps || [];
+  contourEdits = p.contourEdits || {};
+  repairs = p.repairs || [];
+  selectedKeys = new Set();
+  renderSelection();
+  clearGeometryIssues();
+  syncLayerOps(baseGeomSegs);
+  renderUnits();
+  applyTransform(true);
+  resetHistory(`Open ${doc.name}`);
+  enableAfterImport(true);
+  fitViewOnce(geomSegs);
+  draw();
+  setStatus("ok", "Project opened", `${doc.name} • Build toolpath when ready.`);
+}
+
+// Autosave: the last project is kept in localStorage and reopened on page load.
+let autosaveTimer = null;
+
+function autosaveProject() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  const p = captureProject();
+  if (!p) return;
+  try { localStorage.setItem(PROJECT_KEY, JSON.stringify(p)); }
+  catch (err) { console.warn("Could not autosave the project (drawing too large?)", err); }
+}
+
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosaveProject, 800);
+}
+
+function restoreAutosave() {
+  let p;
+  try { p = JSON.parse(localStorage.getItem(PROJECT_KEY) || "null"); }
+  catch (err) { console.warn("Autosaved project unreadable", err); return; }
+  if (!p) return;
+  try {
+    restoreProject(p);
+    setStatus("ok", "Restored last session", `${p.source.name} • Build toolpath when ready.`);
+  } catch (err) {
+    console.warn("Autosaved project could not be restored", err);
+  }
+}
+
+// ---------------- Undo history ----------------
+// Each entry is a snapshot of the page after one action: the setting fields, the
+// canvas edits, the geometry and the last build. Undo puts a snapshot back as it was;
+// the drawing itself is shared (edits replace the array, they never change it in place).
+const HISTORY_MAX = 50;
+let undoHistory = [];      // [{ label, state }]
+let historyAt = -1;        // entry the page is showing
+let shownCollisions = [];  // hits in the collision list, kept with the build
+let shownSummary = null;   // updateBuildSummaryFromBuild() arguments for the current build
+
+function captureState() {
+  const fields = {};
+  for (const id of PROJECT_FIELDS) fields[id] = $(id).value;
+  return {
+    fields,
+    manualTabs: [...manualTabs],
+    loopStarts: [...loopStarts],
+    keepOuts: [...keepOuts],
+    layerOps: layerOps.map(r => ({ ...r })),
+    contourEdits,
+    repairs,
+    baseGeomSegs,
+    build: ncText ? { toolSegs, ncLines, ncText, ncExt, tabMarks, hits: shownCollisions, summary: shownSummary } : null
+  };
+}
+
+function sameState(a, b) {
+  const { baseGeomSegs: ga, build: ba, ...ra } = a;
+  const { baseGeomSegs: gb, build: bb, ...rb } = b;
+  return ga === gb && ba?.ncText === bb?.ncText && JSON.stringify(ra) === JSON.stringify(rb);
+}
+
+function restoreState(s) {
+  setPlaying(false);
+  shownUnits = unitInfo(s.fields.units).name;
+  for (const id of PROJECT_FIELDS) $(id).value = s.fields[id];
+  manualTabs = [...s.manualTabs];
+  loopStarts = [...s.loopStarts];
+  keepOuts = [...s.keepOuts];
+  layerOps = s.layerOps.map(r => ({ ...r }));
+  contourEdits = s.contourEdits;
+  repairs = s.repairs;
+  baseGeomSegs = s.baseGeomSegs;
+
+  readTransformFromUI();
+  geomSegs = placedGeometry().segs;
+  if (!viewLocked) lockView();
+
+  const b = s.build;
+  toolSegs = b ? b.toolSegs : [];
+  ncLines = b ? b.ncLines : [];
+  ncText = b ? b.ncText : "";
+  tabMarks = b ? b.tabMarks : [];
+  if (b) {
+    ncExt = b.ncExt;
+    $("exportDat").textContent = `Export ${ncExt.toUpperCase()}`;
+  }
+  renderCollisions(b ? b.hits : []);
+  if (b?.summary) updateBuildSummaryFromBuild(...b.summary);
+  else resetBuildSummary();
+  revealSegCount = 0;
+  currentNCLine = -1;
+  shownNCMax = b ? Math.min(ncLines.length - 1, 60) : -1;
+  enableAfterBuild(!!b);
+
+  renderUnits();
+  renderSelection();
+  recheckGeometry();
+  renderGeometryIssues();
+  renderNC();
+  draw();
+  scheduleAutosave();
+}
+
+// Call after an action has changed the page; nothing is recorded when it changed nothing.
+function recordHistory(label) {
+  if (!sourceDoc) return;
+  const state = captureState();
+  if (historyAt >= 0 && sameState(undoHistory[historyAt].state, state)) return;
+  undoHistory = undoHistory.slice(0, historyAt + 1);
+  undoHistory.push({ label, state });
+  if (undoHistory.length > HISTORY_MAX) undoHistory.shift();
+  historyAt = undoHistory.length - 1;
+  renderHistory();
+}
+
+// A new drawing starts a new history; without one (a back-plotted program) there is none.
+function resetHistory(label) {
+  undoHistory = [];
+  historyAt = -1;
+  if (sourceDoc) recordHistory(label);
+  else renderHistory();
+}
+
+function goToHistory(i) {
+  if (i < 0 || i >= undoHistory.length || i === historyAt) return;
+  const verb = i < historyAt ? "Undo" : "Redo";
+  // one step names what was undone or redone; a jump names where it landed
+  const label = Math.abs(i - historyAt) === 1 ? undoHistory[Math.max(i, historyAt)].label : `${i < historyAt ? "Back" : "Forward"} to: ${undoHistory[i].label}`;
+  historyAt = i;
+  restoreState(undoHistory[i].state);
+  renderHistory();
+  setStatus("ok", verb, `${label}${ncText ? "" : " • Build toolpath again."}`);
+}
+
+function undo() { goToHistory(historyAt - 1); }
+function redo() { goToHistory(historyAt + 1); }
+
+function renderHistory() {
+  $("undoBtn").disabled = historyAt <= 0;
+  $("redoBtn").disabled = historyAt >= undoHistory.length - 1;
+  $("historyList").innerHTML = undoHistory.map((h, i) =>
+    `<div class="historyRow${i === historyAt ? " current" : ""}${i > historyAt ? " undone" : ""}" data-i="${i}">${escapeHtml(h.label)}</div>`
+  ).reverse().join("");
+}
+
+// "Feed XY → 40", "Operation → Pocket (offset)", "Layer HOLES depth → 0.5"
+function describeFieldEdit(el) {
+  const value = el.tagName === "SELECT" ? el.selectedOptions[0]?.textContent : el.type === "checkbox" ? (el.checked ? "on" : "off") : el.value;
+  if (el.closest("#layerOpsBody")) {
+    const r = layerOps[Number(el.dataset.i)];
+    return `Layer ${r?.layer} ${el.dataset.k} → ${value}`;
+  }
+  const name = el.closest(".field")?.querySelector("label")?.textContent ||
+    el.closest(".pill")?.firstChild?.textContent.trim() || el.id;
+  return `${name} → ${value}`;
+}
+
 // ---------------- Events ----------------
 $("tabMain").addEventListener("click", () => setTab("main"));
 $("tabOptions").addEventListener("click", () => setTab("options"));
+$("tabLayers").addEventListener("click", () => setTab("layers"));
+
+// Machine profiles
+$("machineSel").addEventListener("change", () => {
+  machines.active = $("machineSel").value;
+  saveMachines();
+  renderMachineUI();
+  draw();
+});
+$("machineNew").addEventListener("click", () => {
+  const m = { ...activeMachine(), id: `m${Date.now().toString(36)}` };
+  m.name = `${m.name} (copy)`;
+  machines.list.push(m);
+  machines.active = m.id;
+  saveMachines();
+  renderMachineUI();
+});
+$("machineDelete").addEventListener("click", () => {
+  if (machines.list.length <= 1) return;
+  const m = activeMachine();
+  if (!confirm(`Delete machine "${m.name}"?`)) return;
+  machines.list = machines.list.filter(x => x !== m);
+  machines.active = machines.list[0].id;
+  saveMachines();
+  renderMachineUI();
+  draw();
+});
+for (const id of ["mcName", "mcHome", "mcZero", "mcDirX", "mcDirY", "mcPost", ...Object.values(MACHINE_FIELDS)]) {
+  $(id).addEventListener("change", readMachineFromUI);
+}
+
+// Layer operations table
+$("layerOpsBody").addEventListener("change", (e) => {
+  if (!e.target.dataset.k) return;
+  readLayerOpInput(e.target);
+  draw();
+});
 
 $("showFootprint").addEventListener("change", () => draw());
 
+$("units").addEventListener("change", (e) => setUnits(e.target.value));
+// re-read the drawing in the new units (the Units setting only covers unitless DXFs)
+$("importUnits").addEventListener("change", () => {
+  if (sourceDoc?.kind !== "dxf") return;
+  const opts = readOpts();
+  sourceDoc = parseSourceDoc(sourceDoc.name, sourceDoc.text, $("importUnits").value, shownUnits);
+  baseGeomSegs = applyOriginShift(sourceSegments(sourceDoc, opts.outPrec, opts.splineArcs), opts.origin);
+  applyTransform(true);
+  if (!userTouchedView) fitViewOnce(geomSegs);
+});
+
 // stock overlay events
 $("showStock").addEventListener("change", () => draw());
 $("stockW").addEventListener("input", () => draw());
 $("stockH").addEventListener("input", () => draw());
+$("stockT").addEventListener("input", () => draw());
+$("showSim").addEventListener("change", () => draw());
+$("sim3d").addEventListener("change", () => draw());
+
+// copies are laid out again whenever their settings (or, when nesting, the stock) change
+for (const id of ["copyMode", "copyRows", "copyCols", "copySpacing", "copyMargin", "copyCount"]) {
+  $(id).addEventListener("change", () => applyTransform(true));
+}
+for (const id of ["stockW", "stockH"]) {
+  $(id).addEventListener("change", () => { if ($("copyMode").value === "nest") applyTransform(true); });
+}
+
+$("canvasTool").addEventListener("change", (e) => setCanvasTool(e.target.value));
+$("hideContours").addEventListener("click", hideSelection);
+$("showContours").addEventListener("click", showAllContours);
+$("deleteContours").addEventListener("click", () => editSelection("Delete contours", e => ({ ...e, deleted: true })));
+$("reverseContours").addEventListener("click", () => editSelection("Reverse contours", e => ({ ...e, reversed: !e.reversed })));
+$("contourDepth").addEventListener("click", setSelectionDepth);
+
+$("checkGeometry").addEventListener("click", () => {
+  if (!geomSegs.length) { alert("Import a DXF or SVG first."); return; }
+  const found = describeGeometryIssues(runGeometryCheck());
+  setStatus(found.length ? "warn" : "ok", "Geometry check", found.length ? found.join(" • ") : "No problems found.");
+});
+$("fixDedupe").addEventListener("click", () => applyRepair("dedupe", "Remove duplicates"));
+$("fixClose").addEventListener("click", () => applyRepair("close", "Close gaps"));
+$("fixJoin").addEventListener("click", () => applyRepair("join", "Join ends"));
+$("clearRepairs").addEventListener("click", clearRepairs);
+$("geometryList").addEventListener("click", (e) => {
+  const row = e.target.closest("[data-i]");
+  if (!row) return;
+  // centre the view on the marker
+  const at = geometryIssues[Number(row.dataset.i)].at;
+  const r = canvas.getBoundingClientRect();
+  userTouchedView = true;
+  viewLocked = false;
+  view.ox = r.width / 2 - at.x * view.scale;
+  view.oy = r.height / 2 + at.y * view.scale;
+  draw();
+});
+$("clearStarts").addEventListener("click", () => {
+  loopStarts = [];
+  draw();
+  recordHistory("Clear starts");
+});
+$("clearKeepOuts").addEventListener("click", () => {
+  keepOuts = [];
+  draw();
+  recordHistory("Clear keep-outs");
+});
+$("collisionList").addEventListener("click", (e) => {
+  const row = e.target.closest("[data-seg]");
+  if (!row) return;
+  setPlaying(false);
+  revealSegCount = Number(row.dataset.seg) + 1;
+  syncFromReveal();
+  draw();
+});
+$("clearTabs").addEventListener("click", () => {
+  manualTabs = [];
+  tabMarks = [];
+  draw();
+  recordHistory("Clear tabs");
+});
 
-$("applyTransform").addEventListener("click", () => applyTransform(true));
-$("fitToMachine").addEventListener("click", () => fitToMachine());
-$("resetTransform").addEventListener("click", () => resetTransform());
+$("applyTransform").addEventListener("click", () => { applyTransform(true); recordHistory("Apply transform"); });
+$("fitToMachine").addEventListener("click", () => { fitToMachine(); recordHistory("Fit to machine"); });
+$("resetTransform").addEventListener("click", () => { resetTransform(); recordHistory("Reset transform"); });
+
+$("undoBtn").addEventListener("click", undo);
+$("redoBtn").addEventListener("click", redo);
+$("historyList").addEventListener("click", (e) => {
+  const row = e.target.closest("[data-i]");
+  if (row) goToHistory(Number(row.dataset.i));
+});
 
 $("stepBtn").addEventListener("click", () => step(+1));
 $("backBtn").addEventListener("click", () => step(-1));
@@ -944,9 +1680,21 @@ $("pauseBtn").addEventListener("click", () => setPlaying(false));
 window.addEventListener("keydown", (e) => {
   if (e.code === "Space") e.preventDefault();
 
-  const tag = document.activeElement?.tagName?.toLowerCase();
+  // Ctrl+Z / Ctrl+Shift+Z, except while typing (the field's own undo wins there)
+  const el = document.activeElement;
+  const tag = el?.tagName?.toLowerCase();
+  const typing = tag === "textarea" || (tag === "input" && !["checkbox", "file"].includes(el.type));
+  if ((e.ctrlKey || e.metaKey) && !typing && (e.key === "z" || e.key === "Z" || e.key === "y")) {
+    e.preventDefault();
+    if (e.shiftKey || e.key === "y") redo();
+    else undo();
+    return;
+  }
+
   if (tag === "input" || tag === "select" || tag === "textarea") return;
 
+  if ((e.key === "Delete" || e.key === "Backspace") && selectedKeys.size) { e.preventDefault(); $("deleteContours").click(); }
+  if (e.key === "Escape" && selectedKeys.size) clearSelection();
   if ((e.key === "s" || e.key === "S") && !$("stepBtn").disabled) { e.preventDefault(); step(+1); }
   if ((e.key === "b" || e.key === "B") && !$("backBtn").disabled) { e.preventDefault(); step(-1); }
   if (e.code === "Space" && !$("playBtn").disabled) {
@@ -955,7 +1703,60 @@ window.addEventListener("keydown", (e) => {
   }
 });
 
-// Import DXF
+// Back-plot an existing program: it replaces the drawing and the built toolpath.
+function loadNCProgram(name, text) {
+  const prog = parseGcode(text);
+  if (!prog.toolSegs.length) {
+    setStatus("bad", "No moves found", name);
+    alert("No G0/G1/G2/G3 moves found in this file.");
+    return;
+  }
+
+  sourceDoc = null;
+  baseGeomSegs = [];
+  geomSegs = [];
+  manualTabs = [];
+  tabMarks = [];
+  layerOps = [];
+  renderLayerOps();
+  contourEdits = {};
+  repairs = [];
+  selectedKeys = new Set();
+  renderSelection();
+  clearGeometryIssues();
+  resetHistory();
+
+  ncLines = prog.ncLines;
+  ncText = ncLines.join("\n");
+  ncExt = (name.match(NC_FILE_RE)?.[0] || ".dat").toLowerCase();
+  $("exportDat").textContent = `Export ${ncExt.toUpperCase()}`;
+  toolSegs = prog.toolSegs;
+
+  const over = checkOvertravelAndMark(toolSegs, activeMachine());
+  const est = estimateCycleTime(prog.motions, activeMachine());
+  updateBuildSummaryFromBuild({ feedXY: prog.feedXY, depth: 0, stepDown: 1 }, toolSegs, over, prog.passes, est);
+
+  revealSegCount = 0;
+  currentNCLine = -1;
+  shownNCMax = Math.min(ncLines.length - 1, 60);
+
+  enableAfterImport(false);
+  enableAfterBuild(true);
+  if (!userTouchedView) fitViewOnce(toolSegs);
+  else lockView();
+
+  renderNC();
+  draw();
+
+  const hits = checkCollisionsAndMark(toolSegs, readOpts().toolDia, readStockSize(), keepOuts);
+  renderCollisions(hits);
+  const notes = [...prog.notes, ...describeStockDepth(toolSegs, readStockSize().t), ...describeCollisions(hits)];
+  if (over.isOver) notes.unshift(`⚠ Overtravel: X ${lenFixed(over.minX, 2)} → ${lenFixed(over.maxX, 2)}, Y ${lenFixed(over.minY, 2)} → ${lenFixed(over.maxY, 2)}`);
+  if (notes.length) setStatus("warn", "Program loaded (with notes)", notes.join(" • "));
+  else setStatus("ok", "Program loaded", `${name} • ${toolSegs.length} moves • Step with S`);
+}
+
+// Import DXF / SVG, or back-plot a G-code program
 $("file").addEventListener("change", async (e) => {
   const file = e.target.files?.[0];
   if (!file) return;
@@ -964,27 +1765,60 @@ $("file").addEventListener("change", async (e) => {
   resetBuildSummary();
   setStatus("warn", "Loading…", file.name);
 
+  if (NC_FILE_RE.test(file.name)) {
+    try {
+      loadNCProgram(file.name, await file.text());
+    } catch (err) {
+      console.error(err);
+      setStatus("bad", "Program load failed", err?.message || String(err));
+      alert("Could not read this G-code file.\nOpen console (F12) for details.");
+    }
+    return;
+  }
+
+  let doc;
   try {
-    const text = await file.text();
-    const parser = new window.DxfParser();
-    dxfParsed = parser.parseSync(text);
+    doc = parseSourceDoc(file.name, await file.text(), $("importUnits").value, shownUnits);
   } catch (err) {
     console.error(err);
-    setStatus("bad", "DXF parse failed", "Try R12/ASCII DXF export.");
-    alert("DXF parse failed. Try exporting R12/ASCII DXF.");
+    if (/\.svg$/i.test(file.name)) {
+      setStatus("bad", "SVG parse failed", err?.message || String(err));
+      alert("SVG parse failed. Try saving as Plain SVG.");
+    } else {
+      setStatus("bad", "DXF parse failed", "Try R12/ASCII DXF export.");
+      alert("DXF parse failed. Try exporting R12/ASCII DXF.");
+    }
     return;
   }
 
   const opts = readOpts();
-  let segs = extractSegments(dxfParsed, opts.outPrec);
+  const importRep = {};
+  let segs = sourceSegments(doc, opts.outPrec, opts.splineArcs, importRep);
+  const skipped = { ...importRep.skipped };
+  if (doc.kind === "dxf") {
+    for (const [k, n] of Object.entries(unparsedEntityTypes(doc.text, doc.dxf))) skipped[k] = (skipped[k] || 0) + n;
+  }
+  const skippedText = describeSkipped(skipped);
   if (!segs.length) {
-    setStatus("bad", "No supported geometry", "Need LINE/POLYLINE/ARC/CIRCLE/SPLINE.");
-    alert("No supported geometry found.\nNeeds LINE/LWPOLYLINE/POLYLINE/ARC/CIRCLE/SPLINE.\nTry exporting as R12/ASCII DXF.");
+    setStatus("bad", "No supported geometry", skippedText ? `Skipped: ${skippedText}` : "File has no entities.");
+    alert(`No supported geometry found.\nSupported: ${(doc.kind === "svg" ? SVG_GEOMETRY_TAGS : DXF_GEOMETRY_TYPES).join(", ")}.` +
+      (skippedText ? `\nSkipped: ${skippedText}` : "") +
+      (doc.kind === "svg" ? "\nConvert text and other objects to paths first." : "\nTry exporting as R12/ASCII DXF."));
     return;
   }
 
+  sourceDoc = doc;
   baseGeomSegs = applyOriginShift(segs, opts.origin);
+  manualTabs = [];
+  loopStarts = [];
+  contourEdits = {};
+  repairs = [];
+  selectedKeys = new Set();
+  clearGeometryIssues();
+  syncLayerOps(baseGeomSegs);
   applyTransform(true);
+  renderSelection();
+  resetHistory(`Import ${doc.name}`);
 
   enableAfterImport(true);
 
@@ -993,44 +1827,115 @@ $("file").addEventListener("change", async (e) => {
 
   renderNC();
   draw();
-  setStatus("ok", "Loaded", `Geometry ready. Scale=${formatPercent(currentScale * 100)} • Rotate=${Math.round(currentRotDeg)}°`);
+  if (skippedText) {
+    setStatus("warn", "Loaded (some entities skipped)", `Skipped: ${skippedText}`);
+    alert(`Some entities were not imported:\n${skippedText}`);
+  } else {
+    const drawn = doc.kind === "dxf" && doc.units !== "in" ? ` • Drawn in ${doc.units}${doc.fromHeader ? " ($INSUNITS)" : ""}` : "";
+    setStatus("ok", "Loaded", `Geometry ready. Scale=${formatPercent(currentScale * 100)} • Rotate=${Math.round(currentRotDeg)}°${drawn}`);
+  }
+  scheduleAutosave();
+});
+
+// Projects: Save downloads JSON, Open reads it back
+$("saveProject").addEventListener("click", () => {
+  const p = captureProject();
+  if (!p) { alert("Import a DXF or SVG first."); return; }
+
+  const base = p.source.name.replace(/\.[^.]+$/, "");
+  let name = prompt("Save project as:", `${base}.norriscam.json`);
+  if (name === null) return;
+  name = name.trim() || `${base}.norriscam.json`;
+  if (!name.toLowerCase().endsWith(".json")) name += ".json";
+
+  const blob = new Blob([JSON.stringify(p, null, 1)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(a.href);
+
+  setStatus("ok", "Project saved", name);
+});
+
+$("openProject").addEventListener("click", () => $("projectFile").click());
+$("projectFile").addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  e.target.value = "";
+  setPlaying(false);
+  resetBuildSummary();
+  try {
+    restoreProject(JSON.parse(await file.text()));
+    autosaveProject();
+  } catch (err) {
+    console.error(err);
+    setStatus("bad", "Project open failed", err?.message || String(err));
+    alert(`Could not open this project.\n${err?.message || err}`);
+  }
+});
+
+// settings, canvas edits and button actions all end in one of these
+document.addEventListener("change", scheduleAutosave);
+// setting edits go into the undo history once their own handlers have run
+document.addEventListener("change", (e) => {
+  if (PROJECT_FIELDS.includes(e.target.id) || e.target.closest?.("#layerOpsBody")) recordHistory(describeFieldEdit(e.target));
 });
+document.addEventListener("click", (e) => { if (e.target.closest?.("button")) scheduleAutosave(); });
+canvas.addEventListener("mouseup", scheduleAutosave);
+window.addEventListener("beforeunload", autosaveProject);
 
 // Build toolpath
 $("buildToolpath").addEventListener("click", () => {
-  if (!dxfParsed || !baseGeomSegs.length) { alert("Import a DXF first."); return; }
+  if (!sourceDoc || !baseGeomSegs.length) { alert("Import a DXF or SVG first."); return; }
 
   try {
     setPlaying(false);
-    setStatus("warn", "Building…", "Chaining + tool-down + DAT");
+    setStatus("warn", "Building…", "Chaining + tool-down + NC");
     if (!viewLocked) lockView();
 
     const opts = readOpts();
+    const machineNotes = applyMachineLimits(opts, activeMachine());
 
-    let segs = extractSegments(dxfParsed, opts.outPrec);
+    let segs = sourceSegments(sourceDoc, opts.outPrec, opts.splineArcs);
     baseGeomSegs = applyOriginShift(segs, opts.origin);
 
     readTransformFromUI();
-    geomSegs = transformSegs(baseGeomSegs, currentScale, currentRotDeg);
-
-    let paths = buildPaths(geomSegs, opts);
-    paths = orderNearest(paths);
-    paths = mergeContinuous(paths, opts.chainTol);
-
-    if (!paths.length) {
-      setStatus("bad", "Build produced 0 paths", "Try increasing tolerances in Options.");
-      alert("Build produced 0 paths.\nTry Options:\n- Trace precision 0.02\n- Snap grid 0.02–0.05\n- Chain tol 0.03");
+    const arranged = placedGeometry();
+    geomSegs = arranged.segs;
+
+    opts.loopStarts = onCopies(loopStarts);
+    opts.manualTabs = onCopies(manualTabs);
+    opts.keepOuts = keepOuts;
+    const plan = planToolpath(geomSegs, opts, layerOps);
+    const buildNotes = [...machineNotes, ...arranged.notes, ...plan.notes];
+    tabMarks = plan.tabMarks;
+
+    if (!plan.paths.length && !plan.holeCount) {
+      const issues = describeGeometryIssues(runGeometryCheck());
+      buildNotes.push(...issues.map(x => `Geometry: ${x}`));
+      setStatus("bad", "Build produced 0 paths", buildNotes.length ? buildNotes.join(" • ") : "Try increasing tolerances in Options.");
+      alert("Build produced 0 paths.\n" +
+        (issues.length ? `Geometry check found:\n- ${issues.join("\n- ")}\nSee Options → Geometry to fix them.` :
+          "Try Options:\n- Trace precision 0.02\n- Snap grid 0.02–0.05\n- Chain tol 0.03"));
       resetBuildSummary();
       return;
     }
 
-    const prog = buildProgram(paths, opts);
+    const prog = buildProgram(plan.groups, opts);
     ncLines = prog.ncLines;
     ncText = prog.ncText;
+    ncExt = prog.post.ext;
+    $("exportDat").textContent = `Export ${ncExt.toUpperCase()}`;
     toolSegs = prog.toolSegs;
 
-    const over = checkOvertravelAndMark(toolSegs);
-    updateBuildSummaryFromBuild(opts, toolSegs, over);
+    const over = checkOvertravelAndMark(toolSegs, activeMachine());
+    const est = estimateCycleTime(parseGcode(ncText).motions, activeMachine());
+    updateBuildSummaryFromBuild(opts, toolSegs, over, prog.passes, est, plan.rapidSaved);
+    buildNotes.push(...describeStockDepth(toolSegs, readStockSize().t));
+    const hits = checkCollisionsAndMark(toolSegs, opts.toolDia, readStockSize(), keepOuts);
+    renderCollisions(hits);
+    buildNotes.push(...describeCollisions(hits));
 
     revealSegCount = 0;
     currentNCLine = -1;
@@ -1040,17 +1945,22 @@ $("buildToolpath").addEventListener("click", () => {
 
     renderNC();
     draw();
+    recordHistory("Build toolpath");
 
     if (over.isOver) {
+      const m = activeMachine();
       const msg =
-        `⚠ Overtravel detected (machine ${MACHINE_X_TRAVEL}" X, ${MACHINE_Y_TRAVEL}" Y)\n` +
-        `X: ${over.minX.toFixed(2)} → ${over.maxX.toFixed(2)} (limit 0–${MACHINE_X_TRAVEL})\n` +
-        `Y: ${over.minY.toFixed(2)} → ${over.maxY.toFixed(2)} (limit 0–${MACHINE_Y_TRAVEL})`;
+        `⚠ Overtravel detected (machine ${fmtLen(m.travelX, 0.01)} X, ${fmtLen(m.travelY, 0.01)} Y)\n` +
+        `X: ${lenFixed(over.minX, 2)} → ${lenFixed(over.maxX, 2)} (limit ${shownLen(over.limits.x[0])}–${shownLen(over.limits.x[1])})\n` +
+        `Y: ${lenFixed(over.minY, 2)} → ${lenFixed(over.maxY, 2)} (limit ${shownLen(over.limits.y[0])}–${shownLen(over.limits.y[1])})`;
 
-      setStatus("warn", "Built (Overtravel)", msg.replace(/\n/g, " • "));
+      setStatus("warn", "Built (Overtravel)", [msg.replace(/\n/g, " • "), ...buildNotes].join(" • "));
       console.warn(msg);
+    } else if (buildNotes.length) {
+      setStatus("warn", "Built (with notes)", buildNotes.join(" • "));
     } else {
-      setStatus("ok", "Built", `Segments: ${toolSegs.length} • Step with S`);
+      const copies = arranged.copies > 1 ? ` • Copies: ${arranged.copies}` : "";
+      setStatus("ok", "Built", `Segments: ${toolSegs.length}${copies}${plan.tabInfo} • Step with S`);
     }
   } catch (err) {
     console.error(err);
@@ -1060,15 +1970,15 @@ $("buildToolpath").addEventListener("click", () => {
   }
 });
 
-// Export .dat
+// Export NC (extension comes from the post used for the last build)
 $("exportDat").addEventListener("click", () => {
   if (!ncText) return;
 
-  let name = prompt("Save USB file as:", "output.dat");
+  let name = prompt("Save NC file as:", `output${ncExt}`);
   if (name === null) return;
   name = name.trim();
-  if (!name) name = "output.dat";
-  if (!name.toLowerCase().endsWith(".dat")) name += ".dat";
+  if (!name) name = `output${ncExt}`;
+  if (!name.toLowerCase().endsWith(ncExt)) name += ncExt;
 
   const blob = new Blob([ncText], { type: "text/plain" });
   const a = document.createElement("a");
@@ -1082,14 +1992,17 @@ $("exportDat").addEventListener("click", () => {
 
 // ---------------- Init ----------------
 function init() {
-  setStatus("warn", "Idle", "Import a DXF to begin.");
+  setStatus("warn", "Idle", "Import a DXF or SVG to begin.");
   const r = canvas.getBoundingClientRect();
   view.ox = r.width / 2;
   view.oy = r.height / 2;
   lockView();
   resizeCanvasNoJump();
   renderNC();
+  renderLayerOps();
+  renderMachineUI();
   draw();
   resetBuildSummary();
+  restoreAutosave();
 }
 init();
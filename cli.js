@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// norriscam: DXF → NC from the command line, through the same core as the page
+// (SVG import needs the browser's DOMParser, so SVGs go through the page).
+//   norriscam part.dxf -o part.dat --depth 0.25 --step 0.0625 --origin center
+// Exit codes: 0 built, 1 error or nothing to cut, 2 built but the program overtravels.
+
+const fs = require("fs");
+const path = require("path");
+const core = require("./core.js");
+
+const USAGE = `Usage: norriscam <input.dxf> [options]   (DXF only; open SVGs in the page)
+  -o, --output FILE   NC file to write ("-" = stdout; default: input name + post extension)
+  --options FILE      JSON settings: readOpts() keys (depth, stepDown, toolDia, ...) plus
+                      stock {w,h,t}, scalePct, rotDeg, copies, layers, keepOuts, contourEdits, repairs,
+                      gapTol, importUnits
+  --machine FILE      machine profile JSON (inches, in/min); default: the i-Carver
+  --depth N           cut depth
+  --step N            step-down per pass
+  --origin O          center | ll | lr | ul | ur
+  --feed N            XY feed
+  --plunge N          Z feed
+  --tool N            tool diameter
+  --side S            on | inside | outside
+  --operation OP      profile | pocket-offset | pocket-zigzag | drill
+  --post P            ${Object.keys(core.POSTS).join(" | ")}
+  --units U           in | mm: lengths on the command line and in --options, and the output
+  -q, --quiet         no summary or notes on stderr
+  -h, --help`;
+
+// flag → option key; lengths are in --units
+const FLAGS = {
+  "--depth": "depth", "--step": "stepDown", "--origin": "origin", "--feed": "feedXY", "--plunge": "feedZ",
+  "--tool": "toolDia", "--side": "profileSide", "--operation": "operation", "--post": "post", "--units": "units"
+};
+const LENGTH_KEYS = [
+  "safeZ", "depth", "stepDown", "feedXY", "feedZ", "outPrec", "snapGrid", "chainTol", "toolDia", "tabWidth",
+  "tabHeight", "drillMaxDia", "peckDepth"
+];
+
+function parseArgs(argv) {
+  const args = { set: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === "-h" || a === "--help") args.help = true;
+    else if (a === "-q" || a === "--quiet") args.quiet = true;
+    else if (a === "-o" || a === "--output") args.output = next();
+    else if (a === "--options") args.options = next();
+    else if (a === "--machine") args.machine = next();
+    else if (FLAGS[a]) args.set[FLAGS[a]] = next();
+    else if (a.startsWith("-") && a !== "-") throw new Error(`Unknown option ${a}`);
+    else if (!args.input) args.input = a;
+    else throw new Error(`Unexpected argument ${a}`);
+  }
+  return args;
+}
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (err) { throw new Error(`${file}: ${err.message}`); }
+}
+
+// Settings in inches from the defaults, the options file and the flags (later wins).
+function resolveOpts(raw, k) {
+  const opts = { ...core.DEFAULT_OPTS };
+  for (const key of Object.keys(opts)) {
+    if (raw[key] === undefined) continue;
+    if (LENGTH_KEYS.includes(key) || typeof opts[key] === "number") {
+      const v = Number(raw[key]);
+      if (!isFinite(v)) throw new Error(`${key} must be a number (got ${raw[key]})`);
+      opts[key] = LENGTH_KEYS.includes(key) ? v / k : v;
+    } else opts[key] = raw[key];
+  }
+  opts.depth = Math.abs(opts.depth);
+  opts.stepDown = Math.max(0.001, opts.stepDown);
+  return opts;
+}
+
+// Copy of obj with the listed length keys converted to inches.
+function toInches(obj, keys, k) {
+  const out = { ...obj };
+  for (const key of keys) if (out[key] != null) out[key] = Number(out[key]) / k;
+  return out;
+}
+
+// The page's layer table: one row per layer with its guessed operation, then whatever
+// the options file says about each layer by name.
+function layerRows(segs, given, k) {
+  const byName = new Map((given || []).map(r => [r.layer, toInches(r, ["depth", "stepDown", "feedXY"], k)]));
+  return core.segLayers(segs).map(layer => ({
+    layer, enabled: true, ...core.guessLayerOp(layer), depth: null, stepDown: null, feedXY: null, ...byName.get(layer)
+  }));
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) { console.log(USAGE); return 0; }
+  if (!args.input) throw new Error(`No input file\n${USAGE}`);
+  if (/\.svg$/i.test(args.input)) throw new Error(`${args.input}: the command line reads DXF only; open SVGs in the page`);
+
+  const file = args.options ? readJson(args.options) : {};
+  const raw = { ...file, ...args.set };
+  const units = raw.units || "in";
+  if (!core.UNITS[units]) throw new Error(`Unknown units "${units}" (in or mm)`);
+  core.setShownUnits(units);
+  const k = core.UNITS[units].k;
+
+  const opts = resolveOpts(raw, k);
+  const machine = { ...core.DEFAULT_MACHINES[0], ...(args.machine ? readJson(args.machine) : file.machine || {}) };
+  if (raw.post) machine.post = raw.post;
+  if (!core.POSTS[machine.post]) throw new Error(`Unknown post "${machine.post}"`);
+  const notes = core.applyMachineLimits(opts, machine);
+
+  // import, origin, scale/rotate, repairs, contour edits and copies, as the page does
+  const doc = core.parseSourceDoc(path.basename(args.input), fs.readFileSync(args.input, "utf8"), raw.importUnits || "auto", units);
+  const base = core.applyOriginShift(core.sourceSegments(doc, opts.outPrec, opts.splineArcs), opts.origin);
+  const stock = { w: 12, h: 12, t: 0.75, ...toInches(file.stock, ["w", "h", "t"], k) };
+  const edits = Object.fromEntries(Object.entries(file.contourEdits || {}).map(([key, e]) => [key, toInches(e, ["depth"], k)]));
+  const repairs = (file.repairs || []).map(r => toInches(r, ["tol"], k));
+  const scaled = core.transformSegs(base, Math.max(0.001, Number(raw.scalePct ?? 100)) / 100, Number(raw.rotDeg || 0));
+  const placed = core.applyContourEdits(core.repairGeometry(scaled, repairs), edits);
+  if (!placed.some(s => !s.hidden)) throw new Error(`${args.input}: no cuttable geometry`);
+  const co = {
+    mode: "one", rows: 1, cols: 1, count: 0, spacing: 0.125, margin: 0.25,
+    ...toInches(file.copies, ["spacing", "margin"], k), toolDia: opts.toolDia
+  };
+  const arranged = core.arrangeCopies(placed, co, stock);
+  notes.push(...arranged.notes);
+
+  opts.keepOuts = (file.keepOuts || []).map(r => toInches(r, ["minX", "minY", "maxX", "maxY"], k));
+  const plan = core.planToolpath(arranged.segs, opts, layerRows(arranged.segs, file.layers, k));
+  notes.push(...plan.notes);
+  if (!plan.paths.length && !plan.holeCount) {
+    const issues = core.describeGeometryIssues(core.checkGeometry(placed, opts, raw.gapTol != null ? Number(raw.gapTol) / k : 0.05));
+    throw new Error(["Build produced 0 paths", ...notes, ...issues.map(x => `Geometry: ${x}`)].join("\n  "));
+  }
+
+  const prog = core.buildProgram(plan.groups, opts);
+  const over = core.checkOvertravelAndMark(prog.toolSegs, machine);
+  notes.push(...core.describeStockDepth(prog.toolSegs, stock.t));
+  notes.push(...core.describeCollisions(core.checkCollisionsAndMark(prog.toolSegs, opts.toolDia, stock, opts.keepOuts)));
+
+  const out = args.output || args.input.replace(/\.[^./\\]*$/, "") + prog.post.ext;
+  if (out === "-") process.stdout.write(prog.ncText);
+  else fs.writeFileSync(out, prog.ncText);
+
+  if (!args.quiet) {
+    const est = core.estimateCycleTime(core.parseGcode(prog.ncText).motions, machine);
+    console.error(`${out === "-" ? "stdout" : out}: ${prog.ncLines.length} lines, ${prog.post.name} • ${core.describeCycleTime(est)}`);
+    for (const n of notes) console.error(`  ${n}`);
+  }
+  if (over.isOver) {
+    console.error(`Overtravel: X ${core.lenFixed(over.minX, 2)} → ${core.lenFixed(over.maxX, 2)} (limit ${core.shownLen(over.limits.x[0])}–${core.shownLen(over.limits.x[1])}), ` +
+      `Y ${core.lenFixed(over.minY, 2)} → ${core.lenFixed(over.maxY, 2)} (limit ${core.shownLen(over.limits.y[0])}–${core.shownLen(over.limits.y[1])})`);
+    return 2;
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`norriscam: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,3581 @@
+// NorrisCAM core: geometry import, toolpath planning, NC generation and checks, with no
+// DOM or canvas access. The page loads it before app.js (its functions are plain globals
+// there); Node require()s it, as the norriscam CLI does. Lengths are inches throughout.
+
+// ---------------- Units ----------------
+// Geometry, settings and machine profiles are kept in inches. The Units setting changes
+// what the length fields hold, what the summary shows and what the post writes (G20/G21).
+const UNITS = {
+  in: { k: 1, name: "in", mark: "\"", step: 0.0001, gcode: ["G20", "inches"] },
+  mm: { k: 25.4, name: "mm", mark: " mm", step: 0.001, gcode: ["G21", "millimetres"] }
+};
+// Drawing units by DXF $INSUNITS code, in inches.
+const DXF_INSUNITS = { 1: 1, 2: 12, 4: 1 / 25.4, 5: 1 / 2.54, 6: 1 / 0.0254, 8: 1e-6, 9: 0.001, 10: 36, 14: 1 / 0.254 };
+const DXF_INSUNITS_NAMES = { 1: "in", 2: "ft", 4: "mm", 5: "cm", 6: "m", 8: "µin", 9: "mil", 10: "yd", 14: "dm" };
+
+let shownUnits = "in";   // unit the length fields currently hold (and messages use)
+
+function unitInfo(u = shownUnits) { return UNITS[u] || UNITS.in; }
+function toInch(v) { return v / unitInfo().k; }
+// Inches → shown unit, trimmed for an input field.
+function shownLen(v) { return Number((v * unitInfo().k).toPrecision(6)); }
+// Inches → text in the shown unit; fmtLen adds the unit mark.
+function lenNum(v, step) { const u = unitInfo(); return fmt(v * u.k, step ?? u.step); }
+function fmtLen(v, step) { return `${lenNum(v, step)}${unitInfo().mark}`; }
+function lenFixed(v, digits) { return (v * unitInfo().k).toFixed(digits); }
+// For Node callers; the page assigns shownUnits itself.
+function setShownUnits(u) { shownUnits = unitInfo(u).name; }
+
+// ---------------- Stock helpers ----------------
+// Deepest cutting Z in a toolpath (0 when nothing goes below the surface).
+function deepestCut(segs) {
+  let z = 0;
+  for (const s of segs) {
+    if (s.mode !== "CUT") continue;
+    z = Math.min(z, s.z ?? 0, s.a.z ?? 0, s.b.z ?? 0);
+  }
+  return -z;
+}
+
+function describeStockDepth(segs, t) {
+  const deep = deepestCut(segs);
+  return deep > t + 1e-9 ? [`Cuts reach ${fmtLen(deep)} deep, through the ${fmtLen(t)} stock (red in Sim)`] : [];
+}
+
+// ---------------- Math helpers ----------------
+function dist(a, b) { return Math.hypot(a.x - b.x, a.y - b.y); }
+function samePt(a, b, tol) { return Math.abs(a.x - b.x) <= tol && Math.abs(a.y - b.y) <= tol; }
+function snapPoint(p, g) { return { x: Math.round(p.x / g) * g, y: Math.round(p.y / g) * g }; }
+
+function fmt(n, step) {
+  const q = Math.round(n / step) * step;
+  let dec = 0;
+  if (step < 1) dec = Math.max(0, Math.ceil(-Math.log10(step)));
+  const t = q.toFixed(dec);
+  return dec ? t.replace(/\.?0+$/, "") : t;
+}
+
+function formatPercent(pct) {
+  if (!isFinite(pct)) return "—";
+  if (pct >= 100) return `${pct.toFixed(0)}%`;
+  if (pct >= 10) return `${pct.toFixed(1)}%`;
+  if (pct >= 1) return `${pct.toFixed(2)}%`;
+  if (pct >= 0.1) return `${pct.toFixed(3)}%`;
+  if (pct >= 0.01) return `${pct.toFixed(4)}%`;
+  return `${pct.toFixed(6)}%`;
+}
+
+function bounds(segs) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of segs) {
+    const b = segBox(s);
+    minX = Math.min(minX, b.minX);
+    minY = Math.min(minY, b.minY);
+    maxX = Math.max(maxX, b.maxX);
+    maxY = Math.max(maxY, b.maxY);
+  }
+  if (!isFinite(minX)) return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+  return { minX, minY, maxX, maxY };
+}
+
+function applyOriginShift(segs, origin) {
+  const b = bounds(segs);
+  const cx = (b.minX + b.maxX) / 2;
+  const cy = (b.minY + b.maxY) / 2;
+
+  let dx = 0, dy = 0;
+  if (origin === "center") { dx = -cx; dy = -cy; }
+  else if (origin === "ll") { dx = -b.minX; dy = -b.minY; }
+  else if (origin === "lr") { dx = -b.maxX; dy = -b.minY; }
+  else if (origin === "ul") { dx = -b.minX; dy = -b.maxY; }
+  else if (origin === "ur") { dx = -b.maxX; dy = -b.maxY; }
+
+  return segs.map(s => mapSeg(s, p => ({ x: p.x + dx, y: p.y + dy })));
+}
+
+function degToRad(d) { return d * Math.PI / 180; }
+
+function transformSegs(segs, scale, rotDeg) {
+  const th = degToRad(rotDeg);
+  const c = Math.cos(th), s = Math.sin(th);
+
+  // Rotate about origin (0,0), then scale (arc direction is unchanged by both)
+  return segs.map(seg => mapSeg(seg, p => ({
+    x: (p.x * c - p.y * s) * scale,
+    y: (p.x * s + p.y * c) * scale
+  })));
+}
+
+function transformPt(p, scale, rotDeg) {
+  const th = degToRad(rotDeg);
+  const c = Math.cos(th), s = Math.sin(th);
+  return { x: (p.x * c - p.y * s) * scale, y: (p.x * s + p.y * c) * scale };
+}
+
+// Inverse of transformPt: canvas/world point back to un-transformed part coords
+function untransformPt(p, scale, rotDeg) {
+  const th = degToRad(-rotDeg);
+  const c = Math.cos(th), s = Math.sin(th);
+  const x = p.x / scale, y = p.y / scale;
+  return { x: x * c - y * s, y: x * s + y * c };
+}
+
+// ---------------- Segment helpers (lines + arcs) ----------------
+// A segment is a line {a, b} or an arc {a, b, c, ccw}: c = centre, ccw = direction a→b.
+function isArc(s) { return !!s.c; }
+
+function mapSeg(s, f) {
+  const out = { ...s, a: f(s.a), b: f(s.b) };
+  if (s.c) out.c = f(s.c);
+  return out;
+}
+
+// Radius, start angle and signed sweep (CCW positive); a == b is a full turn.
+function arcSweep(s) {
+  const a0 = Math.atan2(s.a.y - s.c.y, s.a.x - s.c.x);
+  const a1 = Math.atan2(s.b.y - s.c.y, s.b.x - s.c.x);
+  let sweep = a1 - a0;
+  if (s.ccw) { while (sweep <= 1e-12) sweep += 2 * Math.PI; }
+  else { while (sweep >= -1e-12) sweep -= 2 * Math.PI; }
+  return { r: dist(s.c, s.a), a0, sweep };
+}
+
+function segLen(s) {
+  if (!isArc(s)) return dist(s.a, s.b);
+  const { r, sweep } = arcSweep(s);
+  return r * Math.abs(sweep);
+}
+
+function segPointAt(s, t) {
+  if (!isArc(s)) return { x: s.a.x + (s.b.x - s.a.x) * t, y: s.a.y + (s.b.y - s.a.y) * t };
+  const { r, a0, sweep } = arcSweep(s);
+  const th = a0 + sweep * t;
+  return { x: s.c.x + r * Math.cos(th), y: s.c.y + r * Math.sin(th) };
+}
+
+// Direction of travel (radians) at fraction t along the segment.
+function segDirAt(s, t) {
+  if (!isArc(s)) return Math.atan2(s.b.y - s.a.y, s.b.x - s.a.x);
+  const { a0, sweep } = arcSweep(s);
+  return a0 + sweep * t + (s.ccw ? Math.PI / 2 : -Math.PI / 2);
+}
+function startDir(s) { return segDirAt(s, 0); }
+function endDir(s) { return segDirAt(s, 1); }
+
+// The part of s between fractions t0 and t1.
+function subSeg(s, t0, t1) {
+  const out = { ...s, a: t0 <= 0 ? s.a : segPointAt(s, t0), b: t1 >= 1 ? s.b : segPointAt(s, t1) };
+  return out;
+}
+
+function segBox(s) {
+  let minX = Math.min(s.a.x, s.b.x), maxX = Math.max(s.a.x, s.b.x);
+  let minY = Math.min(s.a.y, s.b.y), maxY = Math.max(s.a.y, s.b.y);
+  if (isArc(s)) {
+    const { r, a0, sweep } = arcSweep(s);
+    // a0 is in (−π, π] and the sweep up to ±2π, so the arc can reach any axis angle in ±3π
+    for (let k = -6; k <= 6; k++) {
+      const th = k * Math.PI / 2;
+      const t = (th - a0) / sweep;
+      if (t <= 0 || t >= 1) continue;
+      const x = s.c.x + r * Math.cos(th), y = s.c.y + r * Math.sin(th);
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+function distToSegment(p, s) {
+  if (!isArc(s)) return distToSeg(p, s.a, s.b);
+  const { r, a0, sweep } = arcSweep(s);
+  let t = normAng(Math.atan2(p.y - s.c.y, p.x - s.c.x) - a0) / sweep;
+  if (t < 0) t += 2 * Math.PI / Math.abs(sweep);
+  if (t <= 1) return Math.abs(dist(p, s.c) - r);
+  return Math.min(dist(p, s.a), dist(p, s.b));
+}
+
+// Nearest fraction along s to p.
+function segProject(p, s) {
+  if (!isArc(s)) {
+    const dx = s.b.x - s.a.x, dy = s.b.y - s.a.y;
+    const l2 = dx * dx + dy * dy;
+    return l2 > 0 ? Math.max(0, Math.min(1, ((p.x - s.a.x) * dx + (p.y - s.a.y) * dy) / l2)) : 0;
+  }
+  const { a0, sweep } = arcSweep(s);
+  let t = normAng(Math.atan2(p.y - s.c.y, p.x - s.c.x) - a0) / sweep;
+  if (t < 0) t += 2 * Math.PI / Math.abs(sweep);
+  if (t <= 1) return t;
+  return dist(p, s.a) <= dist(p, s.b) ? 0 : 1;
+}
+
+// After the endpoints of an arc moved (snapping), slide the centre onto their
+// perpendicular bisector so start and end radius agree again.
+function refitArc(s) {
+  if (!isArc(s)) return s;
+  const m = { x: (s.a.x + s.b.x) / 2, y: (s.a.y + s.b.y) / 2 };
+  const l = dist(s.a, s.b);
+  if (l < 1e-12) return s;
+  const u = { x: -(s.b.y - s.a.y) / l, y: (s.b.x - s.a.x) / l };
+  const k = (s.c.x - m.x) * u.x + (s.c.y - m.y) * u.y;
+  return { ...s, c: { x: m.x + u.x * k, y: m.y + u.y * k } };
+}
+
+// Arcs → chords within outPrec (the pre-arc output); lines pass through.
+function linearizeSeg(s, outPrec) {
+  if (!isArc(s)) return [s];
+  const { r, a0, sweep } = arcSweep(s);
+  const { c, ccw, ...rest } = s;
+  const chords = sweep > 0 ? tessArc(c, r, a0, a0 + sweep, outPrec) : tessArc(c, r, a0 + sweep, a0, outPrec).reverse().map(q => ({ a: q.b, b: q.a }));
+  chords[0].a = s.a;
+  chords[chords.length - 1].b = s.b;
+  return chords.map(q => ({ ...rest, a: q.a, b: q.b }));
+}
+function linearizeSegs(segs, outPrec) { return segs.flatMap(s => linearizeSeg(s, outPrec)); }
+function linearizePath(p, outPrec) { return { ...p, segs: linearizeSegs(p.segs, outPrec) }; }
+
+// ---------------- DXF parsing ----------------
+function xyOf(v) {
+  if (!v) return null;
+  if (typeof v.x === "number" && typeof v.y === "number") return { x: v.x, y: v.y };
+  if (Array.isArray(v) && v.length >= 2) return { x: Number(v[0]), y: Number(v[1]) };
+  if (v.point) return xyOf(v.point);
+  return null;
+}
+
+function tessArc(center, r, a0, a1, outPrec) {
+  let start = a0, end = a1;
+  if (end < start) end += Math.PI * 2;
+
+  let dTheta = Math.PI / 18;
+  if (r > 1e-9) {
+    const x = Math.max(-1, Math.min(1, 1 - (outPrec / r)));
+    const maxStep = 2 * Math.acos(x);
+    if (isFinite(maxStep) && maxStep > 1e-6) dTheta = Math.min(maxStep, Math.PI / 6);
+  }
+
+  const pts = [];
+  pts.push({ x: center.x + r * Math.cos(start), y: center.y + r * Math.sin(start) });
+  for (let t = start + dTheta; t < end; t += dTheta) {
+    pts.push({ x: center.x + r * Math.cos(t), y: center.y + r * Math.sin(t) });
+  }
+  pts.push({ x: center.x + r * Math.cos(end), y: center.y + r * Math.sin(end) });
+
+  const segs = [];
+  for (let i = 0; i < pts.length - 1; i++) segs.push({ a: pts[i], b: pts[i + 1] });
+  return segs;
+}
+
+// ---------------- Splines ----------------
+// Clamped uniform knots, for splines that come without a usable knot vector.
+function clampedKnots(n, p) {
+  const U = [];
+  for (let i = 0; i <= n + p; i++) U.push(Math.min(Math.max(i - p, 0), n - p));
+  return U;
+}
+
+// NURBS point at t (de Boor on homogeneous coordinates).
+function deBoor(t, p, U, P, W) {
+  const n = P.length - 1;
+  let k = p;
+  while (k < n && t >= U[k + 1]) k++;
+  const d = [];
+  for (let j = 0; j <= p; j++) {
+    const q = P[k - p + j], w = W[k - p + j];
+    d.push({ x: q.x * w, y: q.y * w, w });
+  }
+  for (let r = 1; r <= p; r++) {
+    for (let j = p; j >= r; j--) {
+      const i = k - p + j;
+      const den = U[i + p - r + 1] - U[i];
+      const al = den > 0 ? (t - U[i]) / den : 0;
+      d[j] = {
+        x: (1 - al) * d[j - 1].x + al * d[j].x,
+        y: (1 - al) * d[j - 1].y + al * d[j].y,
+        w: (1 - al) * d[j - 1].w + al * d[j].w
+      };
+    }
+  }
+  return { x: d[p].x / d[p].w, y: d[p].y / d[p].w };
+}
+
+// Sample f over each [breaks[i], breaks[i+1]], splitting until the curve stays
+// within tol of the chords.
+function tessCurve(f, breaks, tol) {
+  const pts = [f(breaks[0])];
+  function split(t0, p0, t1, p1, depth) {
+    const tm = (t0 + t1) / 2, pm = f(tm);
+    const q1 = f(t0 + (t1 - t0) * 0.25), q3 = f(t0 + (t1 - t0) * 0.75);
+    const flat = distToSeg(pm, p0, p1) <= tol && distToSeg(q1, p0, p1) <= tol && distToSeg(q3, p0, p1) <= tol;
+    if (depth >= 14 || (depth >= 1 && flat)) { pts.push(p1); return; }
+    split(t0, p0, tm, pm, depth + 1);
+    split(tm, pm, t1, p1, depth + 1);
+  }
+  for (let i = 0; i < breaks.length - 1; i++) {
+    if (breaks[i + 1] - breaks[i] <= 1e-12) continue;
+    split(breaks[i], f(breaks[i]), breaks[i + 1], f(breaks[i + 1]), 0);
+  }
+  return pts;
+}
+
+// Catmull-Rom through fit points (used when a spline has no control points).
+function catmullRomPts(F, closed, tol) {
+  const n = F.length;
+  const at = (i) => closed ? F[(i + n) % n] : F[Math.max(0, Math.min(n - 1, i))];
+  const spans = closed ? n : n - 1;
+  const f = (t) => {
+    const i = Math.min(spans - 1, Math.floor(t)), u = t - i;
+    const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+    const u2 = u * u, u3 = u2 * u;
+    const c = (a, b, c2, d) => 0.5 * (2 * b + (c2 - a) * u + (2 * a - 5 * b + 4 * c2 - d) * u2 + (3 * b - a - 3 * c2 + d) * u3);
+    return { x: c(p0.x, p1.x, p2.x, p3.x), y: c(p0.y, p1.y, p2.y, p3.y) };
+  };
+  const breaks = [];
+  for (let i = 0; i <= spans; i++) breaks.push(i);
+  return tessCurve(f, breaks, tol);
+}
+
+function splinePoints(e, outPrec) {
+  const P = (e.controlPoints || []).map(xyOf).filter(Boolean);
+  const F = (e.fitPoints || []).map(xyOf).filter(Boolean);
+  const p = Math.max(1, Math.floor(Number(e.degreeOfSplineCurve) || 3));
+
+  if (P.length < 2) return F.length >= 2 ? catmullRomPts(F, !!e.closed, outPrec) : F;
+  if (P.length <= p) return P;
+
+  const W = P.map((_, i) => {
+    const w = Number(e.weights?.[i]);
+    return isFinite(w) && w > 0 ? w : 1;
+  });
+  let U = (e.knotValues || []).map(Number);
+  if (U.length !== P.length + p + 1 || U.some((u, i) => !isFinite(u) || (i && u < U[i - 1]))) U = clampedKnots(P.length - 1, p);
+
+  const t0 = U[p], t1 = U[P.length];
+  const breaks = [...new Set(U.slice(p, P.length + 1))];
+  if (!(t1 > t0)) return P;
+  return tessCurve(t => deBoor(Math.min(t, t1), p, U, P, W), breaks, outPrec);
+}
+
+// Greedy arc fitting over a point run: grow each arc while every point stays within
+// tol of the circle and no chord bulges more than tol; short or straight runs stay lines.
+function fitArcsToPts(pts, tol) {
+  const out = [];
+  const circle = (a, b, c) => {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-12) return null;
+    const a2 = a.x * a.x + a.y * a.y, b2 = b.x * b.x + b.y * b.y, c2 = c.x * c.x + c.y * c.y;
+    return { x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d, y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d };
+  };
+  const fits = (i, j) => {
+    const m = Math.floor((i + j) / 2);
+    const c = circle(pts[i], pts[m], pts[j]);
+    if (!c) return null;
+    const r = dist(c, pts[i]);
+    const ccw = (pts[m].x - pts[i].x) * (pts[j].y - pts[m].y) - (pts[m].y - pts[i].y) * (pts[j].x - pts[m].x) > 0;
+    let turn = 0;
+    for (let k = i; k < j; k++) {
+      const sag = r - Math.sqrt(Math.max(0, r * r - dist(pts[k], pts[k + 1]) ** 2 / 4));
+      if (Math.abs(dist(pts[k + 1], c) - r) > tol || sag > tol) return null;
+      const da = normAng(angle(c, pts[k + 1]) - angle(c, pts[k]));
+      if ((da > 0) !== ccw) return null;
+      turn += Math.abs(da);
+    }
+    return turn < 2 * Math.PI - 1e-6 ? { c, ccw } : null;
+  };
+
+  let i = 0;
+  while (i < pts.length - 1) {
+    let best = null, j = i + 3;
+    for (; j < pts.length; j++) {
+      const f = fits(i, j);
+      if (!f) break;
+      best = { j, ...f };
+    }
+    if (best) { out.push({ a: pts[i], b: pts[best.j], c: best.c, ccw: best.ccw }); i = best.j; }
+    else { out.push({ a: pts[i], b: pts[i + 1] }); i++; }
+  }
+  return out;
+}
+
+// CCW arc from a0 to a1 (a1 > a0) as arc segments; full turns are split in half.
+function arcSegs(c, r, a0, a1) {
+  const at = (t) => ({ x: c.x + r * Math.cos(t), y: c.y + r * Math.sin(t) });
+  if (a1 - a0 >= 2 * Math.PI - 1e-9) {
+    const m = a0 + Math.PI;
+    return [{ a: at(a0), b: at(m), c: { ...c }, ccw: true }, { a: at(m), b: at(a0), c: { ...c }, ccw: true }];
+  }
+  return [{ a: at(a0), b: at(a1), c: { ...c }, ccw: true }];
+}
+
+// Polyline span p0→p1; bulge = tan(included angle / 4), positive = CCW.
+function bulgeSeg(p0, p1, bulge) {
+  const b = Number(bulge) || 0;
+  const c = dist(p0, p1);
+  if (Math.abs(b) < 1e-9 || c < 1e-12) return { a: p0, b: p1 };
+  const k = (1 - b * b) / (4 * b);
+  const mx = (p0.x + p1.x) / 2, my = (p0.y + p1.y) / 2;
+  const center = { x: mx - (p1.y - p0.y) * k, y: my + (p1.x - p0.x) * k };
+  return { a: p0, b: p1, c: center, ccw: b > 0 };
+}
+
+// 2D affine transforms as [a, b, c, d, e, f]: x' = a*x + c*y + e, y' = b*x + d*y + f.
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+function matMul(A, B) {
+  return [
+    A[0] * B[0] + A[2] * B[1], A[1] * B[0] + A[3] * B[1],
+    A[0] * B[2] + A[2] * B[3], A[1] * B[2] + A[3] * B[3],
+    A[0] * B[4] + A[2] * B[5] + A[4], A[1] * B[4] + A[3] * B[5] + A[5]
+  ];
+}
+function matPt(m, p) { return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] }; }
+
+// INSERT placement for array cell (col, row): blocks are drawn about their base point,
+// scaled, offset along the rotated grid, rotated, then moved to the insert point.
+function insertMatrix(e, base, col, row) {
+  const sx = Number(e.xScale ?? 1) || 1, sy = Number(e.yScale ?? 1) || 1;
+  const th = degToRad(Number(e.rotation) || 0);
+  const c = Math.cos(th), s = Math.sin(th);
+  const pos = xyOf(e.position) || { x: 0, y: 0 };
+  const ox = col * (Number(e.columnSpacing) || 0), oy = row * (Number(e.rowSpacing) || 0);
+  const local = [sx, 0, 0, sy, ox - base.x * sx, oy - base.y * sy];
+  return matMul([c, s, -s, c, pos.x, pos.y], local);
+}
+
+// Map segments through m. Arcs survive rotation, uniform scale and mirroring (which
+// flips their direction); anything that would squash them is traced as lines first.
+function transformByMatrix(segs, m, outPrec) {
+  const sx = Math.hypot(m[0], m[1]), sy = Math.hypot(m[2], m[3]);
+  const similar = Math.abs(sx - sy) <= 1e-9 * Math.max(sx, sy) && Math.abs(m[0] * m[2] + m[1] * m[3]) <= 1e-9 * sx * sy;
+  const flip = m[0] * m[3] - m[1] * m[2] < 0;
+  const src = similar ? segs : linearizeSegs(segs, outPrec / Math.max(sx, sy, 1e-9));
+  return src.map(seg => {
+    const t = mapSeg(seg, p => matPt(m, p));
+    if (isArc(t) && flip) t.ccw = !t.ccw;
+    return t;
+  });
+}
+
+function ellipsePoints(e, outPrec) {
+  const c = xyOf(e.center), M = xyOf(e.majorAxisEndPoint);
+  const k = Number(e.axisRatio) || 1;
+  if (!c || !M) return [];
+  let t0 = Number(e.startAngle) || 0, t1 = e.endAngle === undefined ? 2 * Math.PI : Number(e.endAngle);
+  if (t1 <= t0) t1 += 2 * Math.PI;
+  const f = (t) => ({
+    x: c.x + M.x * Math.cos(t) - M.y * k * Math.sin(t),
+    y: c.y + M.y * Math.cos(t) + M.x * k * Math.sin(t)
+  });
+  const breaks = [t0];
+  for (let q = Math.ceil(t0 / (Math.PI / 2)) * Math.PI / 2; q < t1; q += Math.PI / 2) if (q > t0) breaks.push(q);
+  breaks.push(t1);
+  return tessCurve(f, breaks, outPrec);
+}
+
+const DXF_GEOMETRY_TYPES = ["LINE", "LWPOLYLINE", "POLYLINE", "ARC", "CIRCLE", "SPLINE", "ELLIPSE", "INSERT", "POINT"];
+
+// Segments from one entity in its own coordinates (INSERTs recurse into their block).
+// Block entities on layer "0" take the layer of the INSERT that placed them.
+function entitySegs(e, dxf, outPrec, fitArcs, skipped, depth, inherit = null) {
+  const layer = e.layer && e.layer !== "0" ? e.layer : (inherit || e.layer || "0");
+  return entityGeom(e, dxf, outPrec, fitArcs, skipped, depth, layer).map(s => ({ ...s, layer: s.layer || layer }));
+}
+
+function entityGeom(e, dxf, outPrec, fitArcs, skipped, depth, layer) {
+  const out = [];
+
+  if (e.type === "LINE") {
+    // dxf-parser gives LINE ends as vertices[0..1]
+    const a = xyOf(e.start || e.vertices?.[0]), b = xyOf(e.end || e.vertices?.[1]);
+    if (a && b) out.push({ a, b });
+    return out;
+  }
+
+  if (e.type === "LWPOLYLINE" || e.type === "POLYLINE") {
+    const raw = (e.vertices || []).filter(v => xyOf(v));
+    const verts = raw.map(xyOf);
+    if (verts.length >= 2) {
+      for (let i = 0; i < verts.length - 1; i++) out.push(bulgeSeg(verts[i], verts[i + 1], raw[i].bulge));
+      if (e.closed || e.shape) out.push(bulgeSeg(verts[verts.length - 1], verts[0], raw[raw.length - 1].bulge));
+    }
+    return out;
+  }
+
+  if (e.type === "ARC") {
+    const c = xyOf(e.center);
+    const r = Number(e.radius);
+    if (c && isFinite(r) && r > 0) {
+      let a0 = Number(e.startAngle), a1 = Number(e.endAngle);
+      if (Math.abs(a0) > 2 * Math.PI || Math.abs(a1) > 2 * Math.PI) {
+        a0 = a0 * Math.PI / 180;
+        a1 = a1 * Math.PI / 180;
+      }
+      if (a1 <= a0) a1 += Math.PI * 2;
+      out.push(...arcSegs(c, r, a0, a1));
+    }
+    return out;
+  }
+
+  if (e.type === "CIRCLE") {
+    const c = xyOf(e.center);
+    const r = Number(e.radius);
+    if (c && isFinite(r) && r > 0) out.push(...arcSegs(c, r, 0, 2 * Math.PI));
+    return out;
+  }
+
+  if (e.type === "POINT") {
+    // a zero-length segment flagged as a point; only drilling uses it
+    const p = xyOf(e.position);
+    if (p) out.push({ a: p, b: { ...p }, point: true });
+    return out;
+  }
+
+  if (e.type === "SPLINE" || e.type === "ELLIPSE") {
+    const pts = e.type === "SPLINE" ? splinePoints(e, outPrec) : ellipsePoints(e, outPrec);
+    if (pts.length >= 2) {
+      if (fitArcs) out.push(...fitArcsToPts(pts, outPrec));
+      else for (let i = 0; i < pts.length - 1; i++) out.push({ a: pts[i], b: pts[i + 1] });
+    }
+    return out;
+  }
+
+  if (e.type === "INSERT") {
+    const block = dxf?.blocks?.[e.name];
+    if (!block || depth > 16) {
+      const key = block ? "INSERT (nested too deep)" : "INSERT (missing block)";
+      skipped[key] = (skipped[key] || 0) + 1;
+      return out;
+    }
+    const inner = [];
+    for (const be of block.entities || []) inner.push(...entitySegs(be, dxf, outPrec, fitArcs, skipped, depth + 1, layer));
+    if (!inner.length) return out;
+
+    const base = xyOf(block.position) || { x: 0, y: 0 };
+    const cols = Math.max(1, Math.floor(Number(e.columnCount) || 1));
+    const rows = Math.max(1, Math.floor(Number(e.rowCount) || 1));
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) out.push(...transformByMatrix(inner, insertMatrix(e, base, col, row), outPrec));
+    }
+    return out;
+  }
+
+  skipped[e.type] = (skipped[e.type] || 0) + 1;
+  return out;
+}
+
+// report (optional) gets { skipped: { TYPE: count } } for entities that produced no geometry.
+function extractSegments(dxf, outPrec, fitArcs = false, report = null) {
+  const out = [];
+  const skipped = {};
+  for (const e of dxf?.entities || []) {
+    if (e.inPaperSpace) continue;
+    out.push(...entitySegs(e, dxf, outPrec, fitArcs, skipped, 0));
+  }
+  if (report) report.skipped = skipped;
+  return out;
+}
+
+// Entity types in the ENTITIES section that dxf-parser dropped without a trace (HATCH etc.).
+function unparsedEntityTypes(text, dxf) {
+  const counts = {};
+  const lines = text.split(/\r\n|\r|\n/);
+  let inEntities = false, afterSection = false;
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = lines[i].trim(), val = lines[i + 1].trim();
+    if (code === "0" && val === "SECTION") { afterSection = true; continue; }
+    if (afterSection && code === "2") { inEntities = val === "ENTITIES"; afterSection = false; continue; }
+    if (code === "0" && val === "ENDSEC") { inEntities = false; continue; }
+    if (inEntities && code === "0") counts[val] = (counts[val] || 0) + 1;
+  }
+  const known = new Set((dxf?.entities || []).map(e => e.type));
+  for (const k of Object.keys(counts)) {
+    if (known.has(k) || k === "VERTEX" || k === "SEQEND" || k === "ATTRIB") delete counts[k];
+  }
+  return counts;
+}
+
+function describeSkipped(skipped) {
+  return Object.entries(skipped).sort((p, q) => q[1] - p[1]).map(([k, n]) => `${k} ×${n}`).join(", ");
+}
+
+// ---------------- SVG import ----------------
+// Inches per SVG unit; unitless lengths are CSS px (96/in).
+const SVG_UNITS = { "": 1 / 96, px: 1 / 96, in: 1, mm: 1 / 25.4, cm: 1 / 2.54, pt: 1 / 72, pc: 1 / 6 };
+const SVG_GEOMETRY_TAGS = ["path", "rect", "circle", "ellipse", "line", "polyline", "polygon"];
+const SVG_IGNORED_TAGS = new Set(["defs", "clipPath", "mask", "symbol", "marker", "pattern", "metadata", "title", "desc",
+  "style", "script", "linearGradient", "radialGradient", "filter", "namedview"]);
+
+function parseSvg(text) {
+  if (typeof DOMParser === "undefined") throw new Error("SVG import needs a browser (no DOMParser here)");
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "svg" || doc.getElementsByTagName("parsererror").length) throw new Error("Not a valid SVG file");
+  return root;
+}
+
+// Length in inches, or null for missing / percentage values.
+function svgLength(v) {
+  const m = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-z]*)\s*$/i.exec(v || "");
+  if (!m || !(m[2].toLowerCase() in SVG_UNITS)) return null;
+  return Number(m[1]) * SVG_UNITS[m[2].toLowerCase()];
+}
+
+function svgNums(str) {
+  return (String(str || "").match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+}
+
+// transform="..." as an affine matrix (functions apply right to left, like nested groups).
+function svgTransform(str) {
+  let m = IDENTITY;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let f;
+  while ((f = re.exec(str || ""))) {
+    const n = svgNums(f[2]);
+    let t = IDENTITY;
+    if (f[1] === "matrix" && n.length === 6) t = n;
+    else if (f[1] === "translate") t = [1, 0, 0, 1, n[0] || 0, n[1] || 0];
+    else if (f[1] === "scale") t = [n[0] ?? 1, 0, 0, n[1] ?? n[0] ?? 1, 0, 0];
+    else if (f[1] === "rotate") {
+      const th = degToRad(n[0] || 0), c = Math.cos(th), s = Math.sin(th);
+      const cx = n[1] || 0, cy = n[2] || 0;
+      t = [c, s, -s, c, cx - c * cx + s * cy, cy - s * cx - c * cy];
+    }
+    else if (f[1] === "skewX") t = [1, 0, Math.tan(degToRad(n[0] || 0)), 1, 0, 0];
+    else if (f[1] === "skewY") t = [1, Math.tan(degToRad(n[0] || 0)), 0, 1, 0, 0];
+    m = matMul(m, t);
+  }
+  return m;
+}
+
+// viewBox / width / height → inches, with SVG's downward Y flipped to CAD's upward Y.
+function svgRootMatrix(svg) {
+  const vb = svgNums(svg.getAttribute("viewBox"));
+  const w = svgLength(svg.getAttribute("width")), h = svgLength(svg.getAttribute("height"));
+  let m = [SVG_UNITS.px, 0, 0, SVG_UNITS.px, 0, 0];
+  if (vb.length === 4 && vb[2] > 0 && vb[3] > 0) {
+    let sx = w !== null ? w / vb[2] : SVG_UNITS.px, sy = h !== null ? h / vb[3] : sx;
+    if (h !== null && w === null) sx = sy;
+    let ox = 0, oy = 0;
+    if (!/^\s*none/.test(svg.getAttribute("preserveAspectRatio") || "")) {
+      const s = Math.min(sx, sy);
+      if (w !== null) ox = (w - vb[2] * s) / 2;
+      if (h !== null) oy = (h - vb[3] * s) / 2;
+      sx = sy = s;
+    }
+    m = [sx, 0, 0, sy, ox - vb[0] * sx, oy - vb[1] * sy];
+  }
+  return matMul([1, 0, 0, -1, 0, 0], m);
+}
+
+function svgHidden(el) {
+  return el.getAttribute("display") === "none" || el.getAttribute("visibility") === "hidden" ||
+    /(^|;)\s*display\s*:\s*none/.test(el.getAttribute("style") || "");
+}
+
+// Basic shapes rewritten as path data so one parser handles everything.
+function svgShapeData(el) {
+  const n = (k) => Number(el.getAttribute(k)) || 0;
+  const tag = el.localName;
+  if (tag === "path") return el.getAttribute("d") || "";
+  if (tag === "line") return `M${n("x1")} ${n("y1")}L${n("x2")} ${n("y2")}`;
+  if (tag === "polyline" || tag === "polygon") {
+    const p = svgNums(el.getAttribute("points"));
+    if (p.length < 4) return "";
+    return `M${p.slice(0, p.length & ~1).join(" ")}${tag === "polygon" ? "Z" : ""}`;
+  }
+  if (tag === "circle" || tag === "ellipse") {
+    const cx = n("cx"), cy = n("cy");
+    const rx = tag === "circle" ? n("r") : n("rx"), ry = tag === "circle" ? n("r") : n("ry");
+    if (rx <= 0 || ry <= 0) return "";
+    return `M${cx + rx} ${cy}A${rx} ${ry} 0 1 1 ${cx - rx} ${cy}A${rx} ${ry} 0 1 1 ${cx + rx} ${cy}Z`;
+  }
+  if (tag === "rect") {
+    const x = n("x"), y = n("y"), w = n("width"), h = n("height");
+    if (w <= 0 || h <= 0) return "";
+    let rx = el.hasAttribute("rx") ? n("rx") : null, ry = el.hasAttribute("ry") ? n("ry") : null;
+    rx = Math.min(w / 2, Math.max(0, rx ?? ry ?? 0));
+    ry = Math.min(h / 2, Math.max(0, ry ?? rx));
+    if (!rx || !ry) return `M${x} ${y}H${x + w}V${y + h}H${x}Z`;
+    const A = `A${rx} ${ry} 0 0 1`;
+    return `M${x + rx} ${y}H${x + w - rx}${A} ${x + w} ${y + ry}V${y + h - ry}${A} ${x + w - rx} ${y + h}` +
+      `H${x + rx}${A} ${x} ${y + h - ry}V${y + ry}${A} ${x + rx} ${y}Z`;
+  }
+  return "";
+}
+
+// SVG endpoint arc → arc segment when circular, sampled points when elliptical.
+function svgArc(p0, rx, ry, phiDeg, large, sweep, p1, tol) {
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  if (dist(p0, p1) < 1e-12) return [];
+  if (rx < 1e-12 || ry < 1e-12) return [{ a: p0, b: p1 }];
+  const phi = degToRad(phiDeg), cs = Math.cos(phi), sn = Math.sin(phi);
+  const dx = (p0.x - p1.x) / 2, dy = (p0.y - p1.y) / 2;
+  const x1 = cs * dx + sn * dy, y1 = -sn * dx + cs * dy;
+  const lam = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lam > 1) { rx *= Math.sqrt(lam); ry *= Math.sqrt(lam); }
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  let k = Math.sqrt(Math.max(0, num / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+  if (large === sweep) k = -k;
+  const cx1 = k * rx * y1 / ry, cy1 = -k * ry * x1 / rx;
+  const c = { x: cs * cx1 - sn * cy1 + (p0.x + p1.x) / 2, y: sn * cx1 + cs * cy1 + (p0.y + p1.y) / 2 };
+
+  // in SVG's own coordinates sweep=1 runs toward increasing angle, i.e. our "ccw"
+  if (Math.abs(rx - ry) <= 1e-9 * Math.max(rx, ry)) return [{ a: p0, b: p1, c, ccw: sweep }];
+
+  const t0 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+  let dt = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - t0;
+  if (sweep && dt < 0) dt += 2 * Math.PI;
+  if (!sweep && dt > 0) dt -= 2 * Math.PI;
+  const f = (t) => ({ x: c.x + rx * Math.cos(t) * cs - ry * Math.sin(t) * sn, y: c.y + rx * Math.cos(t) * sn + ry * Math.sin(t) * cs });
+  const parts = Math.max(1, Math.ceil(Math.abs(dt) / (Math.PI / 2)));
+  const breaks = [];
+  for (let i = 0; i <= parts; i++) breaks.push(t0 + dt * i / parts);
+  const pts = tessCurve(f, breaks, tol);
+  pts[0] = p0; pts[pts.length - 1] = p1;
+  return pts;
+}
+
+// Path data → segments in the path's own user units (tol in the same units).
+function svgPathSegs(d, tol, fitArcs) {
+  const out = [];
+  const NUM = /[\s,]*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+  const FLAG = /[\s,]*([01])/y;
+  const CMD = /[\s,]*([MmLlHhVvCcSsQqTtAaZz])/y;
+  let i = 0;
+  const read = (re) => { re.lastIndex = i; const m = re.exec(d); if (!m) return null; i = re.lastIndex; return m[1]; };
+  const num = () => { const v = read(NUM); return v === null ? null : Number(v); };
+  const flag = () => { const v = read(FLAG); return v === null ? null : v === "1"; };
+
+  let cur = { x: 0, y: 0 }, start = cur, ctrl = null, cmd = null;
+  const line = (p) => { if (dist(cur, p) > 1e-12) out.push({ a: cur, b: p }); cur = p; };
+  const curve = (f) => {
+    const pts = tessCurve(f, [0, 1], tol);
+    if (pts.length < 2) return;
+    if (fitArcs) out.push(...fitArcsToPts(pts, tol));
+    else for (let k = 0; k < pts.length - 1; k++) if (dist(pts[k], pts[k + 1]) > 1e-12) out.push({ a: pts[k], b: pts[k + 1] });
+  };
+
+  while (i < d.length) {
+    const c = read(CMD);
+    if (c) cmd = c;
+    else if (!cmd || /[Zz]/.test(cmd)) break;
+    else if (/^[\s,]*$/.test(d.slice(i))) break;
+    const rel = cmd === cmd.toLowerCase();
+    const P = (x, y) => rel ? { x: cur.x + x, y: cur.y + y } : { x, y };
+    const U = cmd.toUpperCase();
+
+    if (U === "Z") { line(start); ctrl = null; continue; }
+    if (U === "M") {
+      const x = num(), y = num();
+      if (y === null) break;
+      cur = start = P(x, y);
+      cmd = rel ? "l" : "L";
+      ctrl = null;
+    } else if (U === "L") {
+      const x = num(), y = num();
+      if (y === null) break;
+      line(P(x, y)); ctrl = null;
+    } else if (U === "H") {
+      const x = num();
+      if (x === null) break;
+      line({ x: rel ? cur.x + x : x, y: cur.y }); ctrl = null;
+    } else if (U === "V") {
+      const y = num();
+      if (y === null) break;
+      line({ x: cur.x, y: rel ? cur.y + y : y }); ctrl = null;
+    } else if (U === "C" || U === "S") {
+      const n = [];
+      for (let k = 0; k < (U === "C" ? 6 : 4); k++) n.push(num());
+      if (n.includes(null)) break;
+      const p0 = cur;
+      const c1 = U === "C" ? P(n[0], n[1]) : (ctrl && ctrl.cubic ? { x: 2 * p0.x - ctrl.x, y: 2 * p0.y - ctrl.y } : p0);
+      const c2 = U === "C" ? P(n[2], n[3]) : P(n[0], n[1]);
+      const p3 = U === "C" ? P(n[4], n[5]) : P(n[2], n[3]);
+      curve((t) => {
+        const u = 1 - t;
+        return {
+          x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p3.x,
+          y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p3.y
+        };
+      });
+      cur = p3; ctrl = { ...c2, cubic: true };
+    } else if (U === "Q" || U === "T") {
+      const n = [];
+      for (let k = 0; k < (U === "Q" ? 4 : 2); k++) n.push(num());
+      if (n.includes(null)) break;
+      const p0 = cur;
+      const c1 = U === "Q" ? P(n[0], n[1]) : (ctrl && ctrl.quad ? { x: 2 * p0.x - ctrl.x, y: 2 * p0.y - ctrl.y } : p0);
+      const p2 = U === "Q" ? P(n[2], n[3]) : P(n[0], n[1]);
+      curve((t) => {
+        const u = 1 - t;
+        return { x: u * u * p0.x + 2 * u * t * c1.x + t * t * p2.x, y: u * u * p0.y + 2 * u * t * c1.y + t * t * p2.y };
+      });
+      cur = p2; ctrl = { ...c1, quad: true };
+    } else if (U === "A") {
+      const rx = num(), ry = num(), rot = num(), large = flag(), sweep = flag(), x = num(), y = num();
+      if (y === null || large === null || sweep === null) break;
+      const p1 = P(x, y);
+      const res = svgArc(cur, rx, ry, rot, large, sweep, p1, tol);
+      if (res.length && res[0].a) out.push(...res);
+      else if (res.length) {
+        if (fitArcs) out.push(...fitArcsToPts(res, tol));
+        else for (let k = 0; k < res.length - 1; k++) out.push({ a: res[k], b: res[k + 1] });
+      }
+      cur = p1; ctrl = null;
+    }
+  }
+  return out;
+}
+
+// Walk the SVG tree; Inkscape layers (and Illustrator's top-level named groups) become layers.
+function svgWalk(el, m, layer, outPrec, fitArcs, out, skipped, top) {
+  for (const ch of el.children) {
+    const tag = ch.localName;
+    if (SVG_IGNORED_TAGS.has(tag) || svgHidden(ch)) continue;
+    const cm = matMul(m, svgTransform(ch.getAttribute("transform")));
+    if (tag === "g" || tag === "a" || tag === "switch") {
+      let sub = layer;
+      if (ch.getAttribute("inkscape:groupmode") === "layer") sub = ch.getAttribute("inkscape:label") || ch.id || layer;
+      else if (top && ch.getAttribute("data-name")) sub = ch.getAttribute("data-name");
+      svgWalk(ch, cm, sub, outPrec, fitArcs, out, skipped, false);
+      continue;
+    }
+    if (!SVG_GEOMETRY_TAGS.includes(tag)) {
+      skipped[tag] = (skipped[tag] || 0) + 1;
+      continue;
+    }
+    const scale = Math.sqrt(Math.abs(cm[0] * cm[3] - cm[1] * cm[2])) || 1;
+    const segs = svgPathSegs(svgShapeData(ch), outPrec / scale, fitArcs);
+    for (const s of transformByMatrix(segs, cm, outPrec)) out.push({ ...s, layer });
+  }
+}
+
+// Same segment format (and report) as extractSegments, in inches.
+function extractSvgSegments(svg, outPrec, fitArcs = false, report = null) {
+  const out = [];
+  const skipped = {};
+  svgWalk(svg, svgRootMatrix(svg), "0", outPrec, fitArcs, out, skipped, true);
+  if (report) report.skipped = skipped;
+  return out;
+}
+
+// ---------------- Source documents ----------------
+// The imported file, parsed once; geometry is re-extracted from it on every build.
+// DXF drawing units: units "auto" trusts a known $INSUNITS and falls back to `fallback`
+// for unitless drawings; "in" / "mm" force it. scale = inches per drawing unit.
+function parseSourceDoc(name, text, units = "auto", fallback = "in") {
+  if (/\.svg$/i.test(name) || /^\s*</.test(text)) return { kind: "svg", name, text, svg: parseSvg(text), scale: 1, units: "svg" };
+  // the page loads dxf-parser as a global; Node requires the package
+  const Parser = typeof DxfParser !== "undefined" ? DxfParser : require("dxf-parser");
+  const dxf = new Parser().parseSync(text);
+  const code = dxf.header?.["$INSUNITS"];
+  if (units === "auto" && DXF_INSUNITS[code]) {
+    return { kind: "dxf", name, text, dxf, scale: DXF_INSUNITS[code], units: DXF_INSUNITS_NAMES[code], fromHeader: true };
+  }
+  const u = unitInfo(units === "auto" ? fallback : units);
+  return { kind: "dxf", name, text, dxf, scale: 1 / u.k, units: u.name, fromHeader: false };
+}
+
+// Segments in inches, each tagged with src (segKey in drawing units) for contour edits.
+function sourceSegments(doc, outPrec, fitArcs = false, report = null) {
+  if (!doc) return [];
+  if (doc.kind === "svg") return extractSvgSegments(doc.svg, outPrec, fitArcs, report).map(s => ({ ...s, src: segKey(s) }));
+  const scale = doc.scale || 1;
+  const segs = extractSegments(doc.dxf, outPrec / scale, fitArcs, report).map(s => ({ ...s, src: segKey(s) }));
+  return scale === 1 ? segs : segs.map(s => mapSeg(s, p => ({ x: p.x * scale, y: p.y * scale })));
+}
+
+// ---------------- Toolpath planning ----------------
+function angle(a, b) { return Math.atan2(b.y - a.y, b.x - a.x); }
+function normAng(x) { while (x < -Math.PI) x += 2 * Math.PI; while (x > Math.PI) x -= 2 * Math.PI; return x; }
+
+function mergeCollinear(chain, tol) {
+  const out = [];
+  const eps = Math.max(1e-12, tol * tol);
+  function collinear(a, b, c) {
+    return Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) <= eps;
+  }
+  let i = 0;
+  while (i < chain.length) {
+    if (isArc(chain[i])) { out.push(chain[i]); i++; continue; }
+    let a = chain[i].a, b = chain[i].b;
+    let j = i + 1;
+    while (j < chain.length) {
+      const n = chain[j];
+      if (isArc(n) || !samePt(b, n.a, tol)) break;
+      if (!collinear(a, b, n.b)) break;
+      b = n.b;
+      j++;
+    }
+    out.push({ a, b });
+    i = j;
+  }
+  return out;
+}
+
+// Snap endpoints to the grid; arcs keep their centre on the new chord's bisector,
+// and ones too small to survive snapping become lines.
+function snapSegs(lines, g, minLen) {
+  const out = [];
+  for (const s of lines) {
+    let t = { a: snapPoint(s.a, g), b: snapPoint(s.b, g) };
+    if (s.reversed) t.reversed = true;
+    if (isArc(s)) {
+      const full = samePt(s.a, s.b, 1e-9);
+      const r = dist(s.c, s.a);
+      const arc = refitArc({ ...t, c: s.c, ccw: s.ccw });
+      if (!full && r > g && Math.abs(dist(arc.c, arc.a) - r) <= g) t = arc;
+    }
+    if (segLen(t) >= minLen) out.push(t);
+  }
+  return out;
+}
+
+function buildPaths(lines, opts) {
+  const g = opts.snapGrid;
+  const tol = g * 0.55;
+  const angTol = degToRad(opts.angleTolDeg);
+  const minLen = Math.max(opts.outPrec * 0.8, g * 0.5);
+
+  const L = snapSegs(lines, g, minLen);
+
+  const key = (p) => `${Math.round(p.x / g)},${Math.round(p.y / g)}`;
+  const map = new Map();
+  for (let i = 0; i < L.length; i++) {
+    const k = key(L[i].a);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(i);
+  }
+
+  const used = new Array(L.length).fill(false);
+  const paths = [];
+
+  for (let i = 0; i < L.length; i++) {
+    if (used[i]) continue;
+    used[i] = true;
+
+    const chain = [L[i]];
+    let cur = L[i];
+
+    while (true) {
+      const end = cur.b;
+      const cand = map.get(key(end)) || [];
+      const d0 = endDir(cur);
+
+      let best = -1, bestScore = Infinity;
+      for (const idx of cand) {
+        if (used[idx]) continue;
+        const s = L[idx];
+        if (!samePt(end, s.a, tol)) continue;
+        const d1 = startDir(s);
+        const da = Math.abs(normAng(d1 - d0));
+        if (da <= angTol && da < bestScore) {
+          best = idx; bestScore = da;
+        }
+      }
+      if (best === -1) break;
+      used[best] = true;
+      chain.push(L[best]);
+      cur = L[best];
+    }
+
+    const merged = mergeCollinear(chain, g);
+    if (merged.length) paths.push(chain.some(s => s.reversed) ? { segs: merged, fixedDir: true } : { segs: merged });
+  }
+
+  return paths;
+}
+
+function reverseSeg(s) {
+  const out = { ...s, a: s.b, b: s.a };
+  if (isArc(s)) out.ccw = !s.ccw;
+  return out;
+}
+function reversePath(p) {
+  const out = { ...p, segs: p.segs.slice().reverse().map(reverseSeg) };
+  if (p.wasteLeft !== undefined) out.wasteLeft = !p.wasteLeft;
+  return out;
+}
+
+// Like buildPaths, but chains through corners at any angle and accepts segments
+// drawn in either direction, so closed shapes come back as single closed loops.
+function chainContours(lines, opts) {
+  const g = opts.snapGrid;
+  const tol = g * 0.55;
+  const minLen = Math.max(opts.outPrec * 0.8, g * 0.5);
+
+  const L = snapSegs(lines, g, minLen);
+
+  const key = (p) => `${Math.round(p.x / g)},${Math.round(p.y / g)}`;
+  const map = new Map();
+  const addEnd = (k, i) => { if (!map.has(k)) map.set(k, []); map.get(k).push(i); };
+  for (let i = 0; i < L.length; i++) { addEnd(key(L[i].a), i); addEnd(key(L[i].b), i); }
+
+  const used = new Array(L.length).fill(false);
+
+  // Best unused segment leaving point p, oriented to start at p; dir = heading into p.
+  function nextFrom(p, dir) {
+    let best = null, bestScore = Infinity;
+    for (const idx of map.get(key(p)) || []) {
+      if (used[idx]) continue;
+      let s = L[idx];
+      if (!samePt(p, s.a, tol)) {
+        if (!samePt(p, s.b, tol)) continue;
+        s = reverseSeg(s);
+      }
+      const da = Math.abs(normAng(startDir(s) - dir));
+      if (da < bestScore) { best = { idx, s }; bestScore = da; }
+    }
+    return best;
+  }
+
+  const paths = [];
+  for (let i = 0; i < L.length; i++) {
+    if (used[i]) continue;
+    used[i] = true;
+    const chain = [L[i]];
+
+    for (;;) {
+      const last = chain[chain.length - 1];
+      const n = nextFrom(last.b, endDir(last));
+      if (!n) break;
+      used[n.idx] = true;
+      chain.push(n.s);
+    }
+    if (!samePt(chain[0].a, chain[chain.length - 1].b, tol)) {
+      for (;;) {
+        const first = chain[0];
+        const n = nextFrom(first.a, startDir(first) + Math.PI);
+        if (!n) break;
+        used[n.idx] = true;
+        chain.unshift(reverseSeg(n.s));
+      }
+    }
+
+    const closed = (chain.length > 2 || chain.some(isArc)) && samePt(chain[0].a, chain[chain.length - 1].b, tol);
+    const merged = mergeCollinear(chain, g);
+    if (merged.length) paths.push(chain.some(s => s.reversed) ? { segs: merged, closed, fixedDir: true } : { segs: merged, closed });
+  }
+
+  return paths;
+}
+
+
+// ---------------- Path ordering ----------------
+// Uniform grid of points for nearest-neighbour lookups without scanning every path.
+function makePointGrid(cell) {
+  return { cell, cells: new Map(), count: 0 };
+}
+function gridKey(g, p) { return `${Math.floor(p.x / g.cell)},${Math.floor(p.y / g.cell)}`; }
+function gridAdd(g, item) {
+  const k = gridKey(g, item.p);
+  if (!g.cells.has(k)) g.cells.set(k, []);
+  g.cells.get(k).push(item);
+  g.count++;
+}
+function gridRemove(g, item) {
+  const list = g.cells.get(gridKey(g, item.p));
+  const i = list ? list.indexOf(item) : -1;
+  if (i >= 0) { list.splice(i, 1); g.count--; }
+}
+// Nearest item to p, searching rings of cells outward until nothing closer can remain.
+function gridNearest(g, p) {
+  if (!g.count) return null;
+  const ci = Math.floor(p.x / g.cell), cj = Math.floor(p.y / g.cell);
+  let best = null, bestD = Infinity, seen = 0;
+  for (let r = 0; ; r++) {
+    if (best && bestD <= (r - 1) * g.cell) break;
+    if (seen >= g.count && best) break;
+    for (let i = ci - r; i <= ci + r; i++) {
+      for (let j = cj - r; j <= cj + r; j++) {
+        if (Math.max(Math.abs(i - ci), Math.abs(j - cj)) !== r) continue;
+        const list = g.cells.get(`${i},${j}`);
+        if (!list) continue;
+        for (const it of list) {
+          seen++;
+          const d = dist(p, it.p);
+          if (d < bestD) { bestD = d; best = it; }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+function pathIsClosed(p) {
+  return !!p.closed || samePt(p.segs[0].a, p.segs[p.segs.length - 1].b, 1e-6);
+}
+
+// Index of the smallest closed path enclosing each path (-1 for none). A closed path's
+// bounding box is registered in every grid cell it covers, so each lookup only tests
+// the loops around one point.
+function findParents(paths) {
+  const info = paths.map(p => {
+    const b = bounds(p.segs);
+    return { b, area: (b.maxX - b.minX) * (b.maxY - b.minY), closed: pathIsClosed(p), loop: null };
+  });
+  const ext = bounds(paths.flatMap(p => p.segs));
+  const cell = Math.max(1e-3, Math.max(ext.maxX - ext.minX, ext.maxY - ext.minY) / Math.max(1, Math.sqrt(paths.length)));
+  const cells = new Map();
+  info.forEach((f, i) => {
+    if (!f.closed) return;
+    for (let x = Math.floor(f.b.minX / cell); x <= Math.floor(f.b.maxX / cell); x++) {
+      for (let y = Math.floor(f.b.minY / cell); y <= Math.floor(f.b.maxY / cell); y++) {
+        const k = `${x},${y}`;
+        if (!cells.has(k)) cells.set(k, []);
+        cells.get(k).push(i);
+      }
+    }
+  });
+
+  return paths.map((p, i) => {
+    const f = info[i];
+    const q = segPointAt(p.segs[0], 0.5);
+    let parent = -1;
+    for (const j of cells.get(`${Math.floor(q.x / cell)},${Math.floor(q.y / cell)}`) || []) {
+      const g = info[j];
+      if (j === i || g.area <= f.area) continue;
+      if (f.b.minX < g.b.minX || f.b.maxX > g.b.maxX || f.b.minY < g.b.minY || f.b.maxY > g.b.maxY) continue;
+      if (parent >= 0 && info[parent].area <= g.area) continue;
+      if (!g.loop) g.loop = linearizeSegs(paths[j].segs, 0.01).map(s => s.a);
+      if (pointInLoop(q, g.loop)) parent = j;
+    }
+    return parent;
+  });
+}
+
+// Join open pieces that meet end to end (corner splits from buildPaths) into whole
+// contours, so containment and ordering see each outline as one path. Pieces of a
+// reversed contour (fixedDir) only join each other, head to tail.
+function joinPaths(paths, tol) {
+  const plain = (p) => !pathIsClosed(p) && Object.keys(p).every(k => k === "segs" || k === "closed" || k === "fixedDir");
+  const key = (x, y) => `${x},${y}`;
+  const cellOf = (p) => [Math.round(p.x / tol), Math.round(p.y / tol)];
+  const map = new Map();
+  const ends = (p) => [p.segs[0].a, p.segs[p.segs.length - 1].b];
+  paths.forEach((p, i) => {
+    if (!plain(p)) return;
+    ends(p).forEach((q, end) => {
+      const [cx, cy] = cellOf(q);
+      const k = key(cx, cy);
+      if (!map.has(k)) map.set(k, []);
+      map.get(k).push({ i, end });
+    });
+  });
+  const used = new Array(paths.length).fill(false);
+  const take = (q, fixed, end) => {
+    const [cx, cy] = cellOf(q);
+    for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) {
+      for (const c of map.get(key(cx + dx, cy + dy)) || []) {
+        if (used[c.i] || !paths[c.i].fixedDir !== !fixed || (fixed && c.end !== end)) continue;
+        if (!samePt(ends(paths[c.i])[c.end], q, tol)) continue;
+        used[c.i] = true;
+        return c;
+      }
+    }
+    return null;
+  };
+
+  const out = [];
+  paths.forEach((p, i) => {
+    if (used[i]) return;
+    used[i] = true;
+    if (!plain(p)) { out.push(p); return; }
+    let segs = p.segs.slice();
+    for (let c; (c = take(segs[segs.length - 1].b, p.fixedDir, 0));) {
+      const q = paths[c.i];
+      segs = segs.concat(c.end === 0 ? q.segs : reversePath(q).segs);
+    }
+    for (let c; (c = take(segs[0].a, p.fixedDir, 1));) {
+      const q = paths[c.i];
+      segs = (c.end === 1 ? q.segs : reversePath(q).segs).concat(segs);
+    }
+    const closed = segs.length > 1 && samePt(segs[0].a, segs[segs.length - 1].b, tol);
+    out.push(p.fixedDir ? { segs, closed, fixedDir: true } : { segs, closed });
+  });
+  return out;
+}
+
+function travelLength(seq, start) {
+  let d = 0, at = start;
+  for (const it of seq) { d += dist(at, it.s); at = it.e; }
+  return d;
+}
+
+// Order paths so every path is cut before the closed path that encloses it, greedily by
+// nearest start (open paths may be run backwards unless fixedDir), then shorten the rapids with 2-opt
+// moves that never put a path after its enclosing contour.
+// Returns { paths, greedy, optimized } with the rapid distance before and after 2-opt
+// (the greedy order is kept if 2-opt did not shorten it, so optimized <= greedy).
+function orderPaths(paths, start = { x: 0, y: 0 }) {
+  if (paths.length <= 1) return { paths: paths.slice(), greedy: 0, optimized: 0 };
+  const parent = findParents(paths);
+  const pending = new Array(paths.length).fill(0);
+  for (const p of parent) if (p >= 0) pending[p]++;
+
+  const ext = bounds(paths.flatMap(p => p.segs));
+  const grid = makePointGrid(Math.max(1e-3, Math.max(ext.maxX - ext.minX, ext.maxY - ext.minY) / Math.max(1, Math.sqrt(paths.length))));
+  const ends = paths.map((p, id) => {
+    const a = p.segs[0].a, b = p.segs[p.segs.length - 1].b;
+    const items = [{ id, p: a, flip: false }];
+    if (!pathIsClosed(p) && !p.fixedDir) items.push({ id, p: b, flip: true });
+    return items;
+  });
+  const release = (id) => { for (const it of ends[id]) gridAdd(grid, it); };
+  paths.forEach((_, id) => { if (!pending[id]) release(id); });
+
+  const seq = [];
+  let at = start;
+  while (seq.length < paths.length) {
+    const it = gridNearest(grid, at);
+    if (!it) break;
+    for (const e of ends[it.id]) gridRemove(grid, e);
+    const p = paths[it.id];
+    const a = p.segs[0].a, b = p.segs[p.segs.length - 1].b;
+    const s = it.flip ? b : a, e = it.flip ? a : b;
+    seq.push({ id: it.id, s, e, flip: it.flip, open: !pathIsClosed(p) && !p.fixedDir, fixed: !pathIsClosed(p) && !!p.fixedDir });
+    at = e;
+    const par = parent[it.id];
+    if (par >= 0 && --pending[par] === 0) release(par);
+  }
+  const greedy = travelLength(seq, start), greedySeq = seq.slice();
+
+  // 2-opt over a sliding window; reversing a block runs its open paths backwards, so a
+  // block holding an open path that must keep its direction is left alone
+  const n = seq.length, W = 40;
+  const pos = new Array(paths.length);
+  seq.forEach((it, k) => pos[it.id] = k);
+  const blockOk = (i, j) => {
+    for (let k = i; k <= j; k++) {
+      if (seq[k].fixed) return false;
+      const par = parent[seq[k].id];
+      if (par >= 0 && pos[par] >= i && pos[par] <= j) return false;
+    }
+    return true;
+  };
+  for (let pass = 0, improved = true; improved && pass < 4; pass++) {
+    improved = false;
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < Math.min(n, i + W); j++) {
+        const prev = i ? seq[i - 1].e : start;
+        const next = j + 1 < n ? seq[j + 1].s : null;
+        const before = dist(prev, seq[i].s) + (next ? dist(seq[j].e, next) : 0);
+        const after = dist(prev, seq[j].e) + (next ? dist(seq[i].s, next) : 0);
+        if (after >= before - 1e-9 || !blockOk(i, j)) continue;
+        const block = seq.slice(i, j + 1).reverse().map(it => it.open ? { ...it, s: it.e, e: it.s, flip: !it.flip } : it);
+        seq.splice(i, block.length, ...block);
+        for (let k = i; k <= j; k++) pos[seq[k].id] = k;
+        improved = true;
+      }
+    }
+  }
+
+  // never hand back an order with longer rapids than the greedy one
+  const twoOpt = travelLength(seq, start);
+  const out = (twoOpt < greedy ? seq : greedySeq).map(it => it.flip ? reversePath(paths[it.id]) : paths[it.id]);
+  // anything left (cannot happen with strict containment) keeps its place at the end
+  if (out.length < paths.length) for (let id = 0; id < paths.length; id++) if (pos[id] === undefined) out.push(paths[id]);
+  return { paths: out, greedy, optimized: Math.min(greedy, twoOpt) };
+}
+
+function mergeContinuous(paths, chainTol) {
+  if (paths.length <= 1) return paths;
+  const out = [];
+  let cur = paths[0];
+  for (let i = 1; i < paths.length; i++) {
+    const nxt = paths[i];
+    const ce = cur.segs[cur.segs.length - 1].b;
+    const ns = nxt.segs[0].a;
+    if (samePt(ce, ns, chainTol)) cur = { ...cur, segs: cur.segs.concat(nxt.segs) };
+    else { out.push(cur); cur = nxt; }
+  }
+  out.push(cur);
+  return out;
+}
+
+// ---------------- Profile offsets (cutter comp in the toolpath, no G41/G42) ----------------
+function pathPoints(p) { return [p.segs[0].a, ...p.segs.map(s => s.b)]; }
+
+function signedArea(pts) {
+  let a = 0;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) a += (pts[j].x * pts[i].y - pts[i].x * pts[j].y);
+  return a / 2;
+}
+
+function loopToSegs(pts) {
+  const segs = [];
+  for (let i = 0; i < pts.length; i++) segs.push({ a: pts[i], b: pts[(i + 1) % pts.length] });
+  return segs;
+}
+
+// Drop duplicate and collinear vertices from a closed loop (no repeated last point).
+function cleanLoopPts(pts, eps) {
+  let out = pts.filter((p, i) => dist(p, pts[(i + 1) % pts.length]) > eps);
+  let changed = true;
+  while (changed && out.length > 3) {
+    changed = false;
+    for (let i = 0; i < out.length; i++) {
+      const a = out[(i - 1 + out.length) % out.length], b = out[i], c = out[(i + 1) % out.length];
+      const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+      const dot = (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y);
+      if (Math.abs(cross) <= eps * Math.max(eps, dist(a, c)) && dot > 0) {
+        out.splice(i, 1);
+        changed = true;
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+function segCross(p1, p2, p3, p4) {
+  const d1x = p2.x - p1.x, d1y = p2.y - p1.y;
+  const d2x = p4.x - p3.x, d2y = p4.y - p3.y;
+  const den = d1x * d2y - d1y * d2x;
+  if (Math.abs(den) < 1e-14) return null;
+  const t = ((p3.x - p1.x) * d2y - (p3.y - p1.y) * d2x) / den;
+  const u = ((p3.x - p1.x) * d1y - (p3.y - p1.y) * d1x) / den;
+  return { t, u, p: { x: p1.x + t * d1x, y: p1.y + t * d1y } };
+}
+
+function distToSeg(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function edgeBoxes(pts, closed, tag) {
+  const n = closed ? pts.length : pts.length - 1;
+  const boxes = [];
+  for (let i = 0; i < n; i++) {
+    const a = pts[i], b = pts[(i + 1) % pts.length];
+    boxes.push({ i, tag, a, b, minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x), minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y) });
+  }
+  return boxes;
+}
+
+// Sweep-and-prune over edge boxes; calls visit(e0, e1, hit) for every proper crossing
+// until it returns true.
+function sweepCrossings(boxes, skip, visit) {
+  const E = boxes.slice().sort((p, q) => p.minX - q.minX);
+  const eps = 1e-9;
+  for (let k = 0; k < E.length; k++) {
+    const e0 = E[k];
+    for (let m = k + 1; m < E.length && E[m].minX <= e0.maxX; m++) {
+      const e1 = E[m];
+      if (e1.maxY < e0.minY || e1.minY > e0.maxY) continue;
+      if (skip(e0, e1)) continue;
+      const hit = segCross(e0.a, e0.b, e1.a, e1.b);
+      if (!hit || hit.t <= eps || hit.t >= 1 - eps || hit.u <= eps || hit.u >= 1 - eps) continue;
+      if (visit(e0, e1, hit)) return true;
+    }
+  }
+  return false;
+}
+
+function findLoopCrossing(pts) {
+  const n = pts.length;
+  let found = null;
+  sweepCrossings(edgeBoxes(pts, true, 0), (e0, e1) => {
+    const d = Math.abs(e0.i - e1.i);
+    return d <= 1 || d === n - 1;
+  }, (e0, e1, hit) => {
+    found = { i: Math.min(e0.i, e1.i), j: Math.max(e0.i, e1.i), p: hit.p };
+    return true;
+  });
+  return found;
+}
+
+// Split a loop at its self-crossings into simple loops.
+function splitLoop(pts) {
+  const out = [];
+  const stack = [pts];
+  let guard = 0;
+  while (stack.length) {
+    const cur = stack.pop();
+    if (cur.length < 3) continue;
+    const x = guard++ < 5000 ? findLoopCrossing(cur) : null;
+    if (!x) { out.push(cur); continue; }
+    stack.push([...cur.slice(0, x.i + 1), x.p, ...cur.slice(x.j + 1)]);
+    stack.push([x.p, ...cur.slice(x.i + 1, x.j + 1)]);
+  }
+  return out;
+}
+
+function joinArcPts(c, r, a0, sweep, outPrec) {
+  let dTheta = Math.PI / 18;
+  if (r > 1e-9) {
+    const x = Math.max(-1, Math.min(1, 1 - (outPrec / r)));
+    const maxStep = 2 * Math.acos(x);
+    if (isFinite(maxStep) && maxStep > 1e-6) dTheta = Math.min(maxStep, Math.PI / 6);
+  }
+  const n = Math.max(1, Math.ceil(Math.abs(sweep) / dTheta));
+  const pts = [];
+  for (let k = 0; k <= n; k++) {
+    const t = a0 + sweep * (k / n);
+    pts.push({ x: c.x + r * Math.cos(t), y: c.y + r * Math.sin(t) });
+  }
+  return pts;
+}
+
+// Offset a closed loop by d (positive = left of travel). Outer corners get round joins,
+// inner corners are mitred. Returns the valid simple loops (possibly none), plus whether
+// the raw offset crossed itself.
+function offsetLoop(ptsIn, d, outPrec) {
+  const pts = cleanLoopPts(ptsIn, 1e-9);
+  const n = pts.length;
+  if (n < 3 || Math.abs(d) < 1e-12) return { loops: n >= 3 ? [pts] : [], crossed: false };
+
+  const raw = [];
+  for (let i = 0; i < n; i++) {
+    const p0 = pts[(i - 1 + n) % n], p1 = pts[i], p2 = pts[(i + 1) % n];
+    const l0 = dist(p0, p1) || 1, l1 = dist(p1, p2) || 1;
+    const u0 = { x: (p1.x - p0.x) / l0, y: (p1.y - p0.y) / l0 };
+    const u1 = { x: (p2.x - p1.x) / l1, y: (p2.y - p1.y) / l1 };
+    const n0 = { x: -u0.y, y: u0.x }, n1 = { x: -u1.y, y: u1.x };
+    const cross = u0.x * u1.y - u0.y * u1.x;
+    const dot = u0.x * u1.x + u0.y * u1.y;
+    const q0 = { x: p1.x + n0.x * d, y: p1.y + n0.y * d };
+    const q1 = { x: p1.x + n1.x * d, y: p1.y + n1.y * d };
+
+    if (Math.abs(cross) < 1e-9 && dot > 0) { raw.push(q0); continue; }
+
+    if (cross * d < 0) {
+      // outer corner: round join about the original vertex
+      const a0 = Math.atan2(n0.y * Math.sign(d), n0.x * Math.sign(d));
+      raw.push(...joinArcPts(p1, Math.abs(d), a0, Math.atan2(cross, dot), outPrec));
+    } else {
+      // inner corner: intersection of the two offset edges
+      const hit = segCross(
+        { x: p0.x + n0.x * d, y: p0.y + n0.y * d }, q0,
+        q1, { x: p2.x + n1.x * d, y: p2.y + n1.y * d }
+      );
+      raw.push(hit ? hit.p : q0);
+    }
+  }
+
+  const sign = Math.sign(signedArea(pts));
+  const minArea = outPrec * outPrec;
+  // round joins are chords, so allow the sag of one outPrec step
+  const reach = Math.abs(d) - outPrec * 1.01 - 1e-7;
+  const pieces = splitLoop(cleanLoopPts(raw, 1e-9));
+  const loops = pieces.filter(loop => {
+    const a = signedArea(loop);
+    if (Math.sign(a) !== sign || Math.abs(a) < minArea) return false;
+    // every vertex must sit (about) |d| or more from the original contour
+    for (const p of loop) {
+      for (let i = 0; i < n; i++) {
+        if (distToSeg(p, pts[i], pts[(i + 1) % n]) < reach) return false;
+      }
+    }
+    return true;
+  });
+
+  return { loops, crossed: pieces.length > 1 };
+}
+
+// Offset one segment by d to the left of travel (arcs stay concentric).
+function offsetSeg(s, d) {
+  if (isArc(s)) {
+    const r = dist(s.c, s.a);
+    const k = (r + (s.ccw ? -d : d)) / r;
+    if (!(k * r > 1e-6)) return null;
+    const f = (p) => ({ x: s.c.x + (p.x - s.c.x) * k, y: s.c.y + (p.y - s.c.y) * k });
+    return { a: f(s.a), b: f(s.b), c: { ...s.c }, ccw: s.ccw };
+  }
+  const l = dist(s.a, s.b);
+  const nx = -(s.b.y - s.a.y) / l * d, ny = (s.b.x - s.a.x) / l * d;
+  return { a: { x: s.a.x + nx, y: s.a.y + ny }, b: { x: s.b.x + nx, y: s.b.y + ny } };
+}
+
+function lineCircleHits(a, b, c, r) {
+  const l = dist(a, b);
+  const ux = (b.x - a.x) / l, uy = (b.y - a.y) / l;
+  const t = (c.x - a.x) * ux + (c.y - a.y) * uy;
+  const px = a.x + ux * t, py = a.y + uy * t;
+  const h2 = r * r - ((c.x - px) ** 2 + (c.y - py) ** 2);
+  if (h2 < -1e-12) return [];
+  const h = Math.sqrt(Math.max(0, h2));
+  return [{ x: px - ux * h, y: py - uy * h }, { x: px + ux * h, y: py + uy * h }];
+}
+
+function circleCircleHits(c0, r0, c1, r1) {
+  const dd = dist(c0, c1);
+  if (dd < 1e-12 || dd > r0 + r1 + 1e-12 || dd < Math.abs(r0 - r1) - 1e-12) return [];
+  const a = (r0 * r0 - r1 * r1 + dd * dd) / (2 * dd);
+  const h = Math.sqrt(Math.max(0, r0 * r0 - a * a));
+  const ux = (c1.x - c0.x) / dd, uy = (c1.y - c0.y) / dd;
+  const mx = c0.x + ux * a, my = c0.y + uy * a;
+  return [{ x: mx - uy * h, y: my + ux * h }, { x: mx + uy * h, y: my - ux * h }];
+}
+
+// Where two offset segments (as full lines / circles) meet.
+function segHits(e0, e1) {
+  if (!isArc(e0) && !isArc(e1)) { const h = segCross(e0.a, e0.b, e1.a, e1.b); return h ? [h.p] : []; }
+  if (!isArc(e0)) return lineCircleHits(e0.a, e0.b, e1.c, dist(e1.c, e1.a));
+  if (!isArc(e1)) return lineCircleHits(e1.a, e1.b, e0.c, dist(e0.c, e0.a));
+  return circleCircleHits(e0.c, dist(e0.c, e0.a), e1.c, dist(e1.c, e1.a));
+}
+
+// Offset a closed loop that contains arcs, keeping them as true arcs: concentric
+// offsets, arc joins on outer corners, trimmed at inner ones. Returns the new segs,
+// or null when the result is not a clean single loop (caller falls back to offsetLoop).
+function offsetArcLoop(segsIn, d, outPrec) {
+  const src = segsIn.filter(s => segLen(s) > 1e-9);
+  const n = src.length;
+  if (n < 2) return null;
+  const raw = src.map(s => offsetSeg(s, d));
+  if (raw.some(e => !e)) return null;
+  const el = raw.map(e => ({ ...e }));
+
+  const joins = new Array(n).fill(null);
+  for (let i = 0; i < n; i++) {
+    const prev = (i - 1 + n) % n;
+    const turn = normAng(startDir(src[i]) - endDir(src[prev]));
+    if (Math.abs(turn) < 1e-6) continue;
+    if (turn * d < 0) {
+      joins[i] = { a: el[prev].b, b: el[i].a, c: { ...src[i].a }, ccw: turn > 0 };
+    } else {
+      const guess = { x: (raw[prev].b.x + raw[i].a.x) / 2, y: (raw[prev].b.y + raw[i].a.y) / 2 };
+      const hits = segHits(raw[prev], raw[i]);
+      if (!hits.length) return null;
+      const hit = hits.reduce((p, q) => dist(q, guess) < dist(p, guess) ? q : p);
+      el[prev].b = hit;
+      el[i].a = { ...hit };
+    }
+  }
+
+  // trimming must not flip a segment over
+  for (let i = 0; i < n; i++) {
+    const e = el[i], r = raw[i];
+    if (isArc(e) ? segLen(e) > segLen(r) + 1e-9
+      : (e.b.x - e.a.x) * (r.b.x - r.a.x) + (e.b.y - e.a.y) * (r.b.y - r.a.y) <= 0) return null;
+  }
+
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    if (joins[i] && segLen(joins[i]) > 1e-9) out.push(joins[i]);
+    if (segLen(el[i]) > 1e-9) out.push(el[i]);
+  }
+
+  const srcPts = pathPoints({ segs: linearizeSegs(src, outPrec) }).slice(0, -1);
+  const pts = pathPoints({ segs: linearizeSegs(out, outPrec) }).slice(0, -1);
+  if (pts.length < 3 || Math.sign(signedArea(pts)) !== Math.sign(signedArea(srcPts))) return null;
+  if (findLoopCrossing(cleanLoopPts(pts, 1e-9))) return null;
+  const reach = Math.abs(d) - outPrec * 1.01 - 1e-7;
+  for (const p of pts) {
+    if (src.some(s => distToSegment(p, s) < reach)) return null;
+  }
+  return out;
+}
+
+function loopBox(pts) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of pts) {
+    minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+// Pairs of offset loops that cross each other (parts closer together than the tool).
+function countLoopOverlaps(loops) {
+  const boxes = loops.map(loopBox);
+  let count = 0;
+  for (let i = 0; i < loops.length; i++) {
+    for (let j = i + 1; j < loops.length; j++) {
+      const A = boxes[i], B = boxes[j];
+      if (A.maxX < B.minX || B.maxX < A.minX || A.maxY < B.minY || B.maxY < A.minY) continue;
+      const edges = edgeBoxes(loops[i], true, i).concat(edgeBoxes(loops[j], true, j));
+      if (sweepCrossings(edges, (e0, e1) => e0.tag === e1.tag, () => true)) count++;
+    }
+  }
+  return count;
+}
+
+// Offset closed contours to the chosen profile side; holes in a part take the other side
+// so they keep their size. Open contours stay on the line.
+function applyProfileOffset(contours, opts) {
+  const report = { side: opts.profileSide, loops: 0, trimmed: 0, collapsed: 0, overlaps: 0, open: 0 };
+  const r = opts.toolDia / 2;
+  if (opts.profileSide === "on" || !(r > 0)) return { paths: contours, report };
+
+  // a loop inside an odd number of others is a hole: its part is on the other side
+  const loopPts = contours.map(c => c.closed ? pathPoints(c.segs.some(isArc) ? linearizePath(c, opts.outPrec) : c).slice(0, -1) : null);
+  const { depth } = nestLoops(loopPts.filter(Boolean));
+  const depthOf = new Map(loopPts.filter(Boolean).map((pts, k) => [pts, depth[k]]));
+
+  const out = [];
+  const offsetLoops = [];
+  contours.forEach((c, i) => {
+    if (!c.closed) {
+      report.open++;
+      out.push(c);
+      return;
+    }
+    report.loops++;
+    const hasArcs = c.segs.some(isArc);
+    const pts = loopPts[i];
+    const dir = Math.sign(signedArea(pts)) || 1;
+    const side = (opts.profileSide === "outside" ? -1 : 1) * (depthOf.get(pts) % 2 ? -1 : 1);
+    const d = side * dir * r;
+
+    const arcLoop = hasArcs ? offsetArcLoop(c.segs, d, opts.outPrec) : null;
+    if (arcLoop) {
+      offsetLoops.push(pathPoints({ segs: linearizeSegs(arcLoop, opts.outPrec) }).slice(0, -1));
+      out.push({ segs: arcLoop, closed: true, wasteLeft: d > 0, ...(c.fixedDir && { fixedDir: true }) });
+      return;
+    }
+    const res = offsetLoop(pts, d, opts.outPrec);
+
+    if (!res.loops.length) { report.collapsed++; return; }
+    if (res.crossed) report.trimmed++;
+    for (const loop of res.loops) {
+      offsetLoops.push(loop);
+      // the offset moved toward the waste, so that is the side a helix entry may use
+      out.push({ segs: loopToSegs(loop), closed: true, wasteLeft: d > 0, ...(c.fixedDir && { fixedDir: true }) });
+    }
+  });
+
+  report.overlaps = countLoopOverlaps(offsetLoops);
+  return { paths: out, report };
+}
+
+function describeOffsetReport(rep) {
+  const notes = [];
+  if (rep.collapsed) notes.push(`${rep.collapsed} contour(s) too small for tool — skipped`);
+  if (rep.trimmed) notes.push(`${rep.trimmed} self-intersecting offset(s) trimmed`);
+  if (rep.overlaps) notes.push(`${rep.overlaps} overlapping offset pair(s) — parts closer than tool dia`);
+  if (rep.open) notes.push(`${rep.open} open contour(s) cut on the line`);
+  return notes;
+}
+
+// ---------------- Pocket clearing ----------------
+function pointInLoop(p, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i], b = pts[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Depth of each loop in the containment tree: even = pocket boundary, odd = island.
+function nestLoops(loops) {
+  const order = loops.map((pts, i) => ({ i, area: Math.abs(signedArea(pts)), box: loopBox(pts) }))
+    .sort((p, q) => q.area - p.area);
+  const parent = new Array(loops.length).fill(-1);
+  const depth = new Array(loops.length).fill(0);
+  for (let k = 0; k < order.length; k++) {
+    const cur = order[k];
+    const probe = loops[cur.i][0];
+    for (let m = k - 1; m >= 0; m--) {
+      const o = order[m];
+      if (probe.x < o.box.minX || probe.x > o.box.maxX || probe.y < o.box.minY || probe.y > o.box.maxY) continue;
+      if (pointInLoop(probe, loops[o.i])) { parent[cur.i] = o.i; depth[cur.i] = depth[o.i] + 1; break; }
+    }
+  }
+  return { parent, depth };
+}
+
+// Tool-centre region of one pocket: inside any of `walls` (if given), outside all `keepOut`.
+function makeRegion(walls, keepOut) {
+  const boxes = [];
+  walls.concat(keepOut).forEach((pts, k) => boxes.push(...edgeBoxes(pts, true, k)));
+  const inside = (p) => (!walls.length || walls.some(w => pointInLoop(p, w))) && !keepOut.some(k => pointInLoop(p, k));
+  return { walls, keepOut, boxes, inside };
+}
+
+// Cut a closed ring where it leaves the region; returns closed loops or open pieces.
+function clipLoopToRegion(pts, region) {
+  const n = pts.length;
+  const cuts = pts.map(() => []);
+  const own = edgeBoxes(pts, true, -1);
+  sweepCrossings(own.concat(region.boxes), (e0, e1) => (e0.tag === -1) === (e1.tag === -1), (e0, e1, hit) => {
+    if (e0.tag === -1) cuts[e0.i].push(hit.t);
+    else cuts[e1.i].push(hit.u);
+    return false;
+  });
+
+  // sub-edges in order, each tagged inside/outside by its midpoint
+  const sub = [];
+  for (let i = 0; i < n; i++) {
+    const a = pts[i], b = pts[(i + 1) % n];
+    const ts = [0, ...cuts[i].sort((p, q) => p - q), 1];
+    for (let k = 0; k < ts.length - 1; k++) {
+      if (ts[k + 1] - ts[k] < 1e-9) continue;
+      const p0 = { x: a.x + (b.x - a.x) * ts[k], y: a.y + (b.y - a.y) * ts[k] };
+      const p1 = { x: a.x + (b.x - a.x) * ts[k + 1], y: a.y + (b.y - a.y) * ts[k + 1] };
+      sub.push({ a: p0, b: p1, keep: region.inside({ x: (p0.x + p1.x) / 2, y: (p0.y + p1.y) / 2 }) });
+    }
+  }
+  if (sub.every(s => s.keep)) return [{ segs: loopToSegs(pts), closed: true }];
+
+  // rotate so we start at the beginning of a kept run, then collect runs
+  const start = sub.findIndex((s, k) => s.keep && !sub[(k - 1 + sub.length) % sub.length].keep);
+  if (start < 0) return [];
+  const out = [];
+  let run = [];
+  for (let k = 0; k < sub.length; k++) {
+    const s = sub[(start + k) % sub.length];
+    if (s.keep) run.push({ a: s.a, b: s.b });
+    else if (run.length) { out.push({ segs: run, closed: false }); run = []; }
+  }
+  if (run.length) out.push({ segs: run, closed: false });
+  return out;
+}
+
+// Closed rings get the side a helix entry may use, plus a helix centre that keeps
+// out of the islands and inside the walls (null when none fits, so it ramps instead).
+function markWaste(pieces, left, keepOut, walls, rh) {
+  const edges = keepOut.concat(walls);
+  const clear = (c) => !keepOut.some(k => pointInLoop(c, k))
+    && (!walls.length || walls.some(w => pointInLoop(c, w)))
+    && !edges.some(k => k.some((q, i) => distToSeg(c, q, k[(i + 1) % k.length]) < rh));
+  for (const p of pieces) {
+    if (!p.closed) continue;
+    p.wasteLeft = left;
+    p.helixAt = findHelixCenter(p, left, rh, clear);
+  }
+  return pieces;
+}
+
+// Rings around each island, each clipped to the pocket walls and the other islands.
+function islandFinishPaths(walls, islandRings, rh) {
+  const out = [];
+  islandRings.forEach((rings, j) => {
+    const others = islandRings.filter((_, k) => k !== j).flat();
+    const region = makeRegion(walls, others);
+    for (const loop of rings) out.push(...markWaste(clipLoopToRegion(loop, region), false, others, walls, rh));
+  });
+  return out;
+}
+
+function pocketRings(boundary, walls, islandRings, r, step, outPrec, rh) {
+  const out = [];
+  const region = makeRegion([], islandRings.flat());
+  const addClipped = (loops) => {
+    for (const loop of loops) out.push(...markWaste(clipLoopToRegion(loop, region), true, region.keepOut, [], rh));
+  };
+
+  // contour-parallel rings in from the wall until they collapse
+  let d = r;
+  let last = d;
+  for (let k = 0; k < 2000; k++) {
+    const rings = k === 0 ? walls : offsetLoop(boundary, d, outPrec).loops;
+    if (!rings.length) break;
+    addClipped(rings);
+    last = d;
+    d += step;
+  }
+  // half-step cleanup so a wide stepover does not leave a core standing
+  addClipped(offsetLoop(boundary, last + step / 2, outPrec).loops);
+
+  // one ring around each island; the rings above clear everything beyond it
+  out.push(...islandFinishPaths(walls, islandRings, rh));
+  return out;
+}
+
+// Intervals of the horizontal line y inside the region, left to right.
+function scanRow(region, y) {
+  const xs = [];
+  for (const e of region.boxes) {
+    if ((e.a.y > y) === (e.b.y > y)) continue;
+    xs.push(e.a.x + (e.b.x - e.a.x) * (y - e.a.y) / (e.b.y - e.a.y));
+  }
+  xs.sort((p, q) => p - q);
+  const out = [];
+  for (let k = 0; k < xs.length - 1; k++) {
+    if (xs[k + 1] - xs[k] < 1e-9) continue;
+    // pulled in a hair so row-to-row links along a wall test as inside
+    if (region.inside({ x: (xs[k] + xs[k + 1]) / 2, y })) out.push({ x0: xs[k] + 1e-6, x1: xs[k + 1] - 1e-6 });
+  }
+  return out;
+}
+
+function linkInside(region, a, b, stepLen) {
+  const n = Math.max(2, Math.ceil(dist(a, b) / Math.max(1e-6, stepLen)));
+  for (let k = 1; k < n; k++) {
+    if (!region.inside({ x: a.x + (b.x - a.x) * k / n, y: a.y + (b.y - a.y) * k / n })) return false;
+  }
+  return true;
+}
+
+function pocketZigZag(walls, islandRings, step, rh) {
+  const region = makeRegion(walls, islandRings.flat());
+  const box = loopBox(walls.flat());
+  const rows = [];
+  for (let y = box.minY + Math.min(step, (box.maxY - box.minY) / 2) * 0.5; y < box.maxY; y += step) {
+    rows.push({ y, spans: scanRow(region, y).map(s => ({ ...s, used: false })) });
+  }
+
+  const out = [];
+  for (let ri = 0; ri < rows.length; ri++) {
+    for (const seed of rows[ri].spans) {
+      if (seed.used) continue;
+      seed.used = true;
+      let fwd = true;
+      let cur = { x: seed.x1, y: rows[ri].y };
+      const segs = [{ a: { x: seed.x0, y: rows[ri].y }, b: cur }];
+
+      for (let rj = ri + 1; rj < rows.length; rj++) {
+        const y = rows[rj].y;
+        let pick = null;
+        for (const s of rows[rj].spans) {
+          if (s.used) continue;
+          const entry = { x: fwd ? s.x1 : s.x0, y };
+          if (linkInside(region, cur, entry, step / 4)) { pick = s; break; }
+        }
+        if (!pick) break;
+        pick.used = true;
+        fwd = !fwd;
+        const entry = { x: fwd ? pick.x0 : pick.x1, y };
+        const exit = { x: fwd ? pick.x1 : pick.x0, y };
+        segs.push({ a: cur, b: entry }, { a: entry, b: exit });
+        cur = exit;
+      }
+      out.push({ segs: segs.filter(s => dist(s.a, s.b) > 1e-9), closed: false });
+    }
+  }
+
+  // finishing pass along the walls and around the islands
+  const wallRegion = makeRegion([], islandRings.flat());
+  for (const loop of walls) out.push(...markWaste(clipLoopToRegion(loop, wallRegion), true, wallRegion.keepOut, [], rh));
+  out.push(...islandFinishPaths(walls, islandRings, rh));
+  return out.filter(p => p.segs.length);
+}
+
+// Clear closed contours: even-depth loops are pocket walls, the loops directly
+// inside them are islands. Open contours are not pocketed.
+function buildPocketPaths(contours, opts) {
+  const report = { pockets: 0, collapsed: 0, open: 0 };
+  const r = opts.toolDia / 2;
+  if (!(r > 0)) return { paths: [], report: { ...report, noTool: true } };
+  const step = Math.max(opts.outPrec, opts.toolDia * opts.stepoverPct / 100);
+
+  const loops = [];
+  for (const c of contours) {
+    if (!c.closed) { report.open++; continue; }
+    // normalise every loop to CCW so +d always offsets inward
+    const pts = cleanLoopPts(pathPoints(c).slice(0, -1), 1e-9);
+    if (pts.length >= 3) loops.push(signedArea(pts) < 0 ? pts.reverse() : pts);
+  }
+
+  const { parent, depth } = nestLoops(loops);
+  const out = [];
+  for (let i = 0; i < loops.length; i++) {
+    if (depth[i] % 2) continue;
+    const islands = loops.filter((_, k) => parent[k] === i);
+
+    const walls = offsetLoop(loops[i], r, opts.outPrec).loops;
+    if (!walls.length) { report.collapsed++; continue; }
+    const islandRings = islands.map(isl => offsetLoop(isl, -r, opts.outPrec).loops);
+
+    const rh = helixRadius(opts);
+    const cleared = opts.operation === "pocket-zigzag"
+      ? pocketZigZag(walls, islandRings, step, rh)
+      : pocketRings(loops[i], walls, islandRings, r, step, opts.outPrec, rh);
+    if (!cleared.length) { report.collapsed++; continue; }
+    report.pockets++;
+    for (const p of cleared) out.push({ ...p, pocket: true });
+  }
+
+  return { paths: out, report };
+}
+
+function describePocketReport(rep) {
+  const notes = [];
+  if (rep.noTool) notes.push("Pocket needs a tool diameter");
+  if (rep.collapsed) notes.push(`${rep.collapsed} pocket(s) narrower than the tool — skipped`);
+  if (rep.open) notes.push(`${rep.open} open contour(s) ignored by Pocket`);
+  return notes;
+}
+
+// ---------------- Holding tabs ----------------
+function pathLength(p) {
+  let L = 0;
+  for (const s of p.segs) L += segLen(s);
+  return L;
+}
+
+function isClosedLoop(p, tol) {
+  return p.segs.length > 1 && samePt(p.segs[0].a, p.segs[p.segs.length - 1].b, tol);
+}
+
+function pointAtLength(p, at) {
+  let acc = 0;
+  for (const s of p.segs) {
+    const l = segLen(s);
+    if (acc + l >= at || s === p.segs[p.segs.length - 1]) {
+      const t = l > 0 ? Math.max(0, Math.min(1, (at - acc) / l)) : 0;
+      return { ...segPointAt(s, t), dir: segDirAt(s, t) };
+    }
+    acc += l;
+  }
+  return null;
+}
+
+// Points along the first `len` of a path (start included).
+function pathPrefixPts(p, len) {
+  if (p.segs.some(isArc)) p = linearizePath(p, 0.001);
+  const pts = [p.segs[0].a];
+  let acc = 0;
+  for (const s of p.segs) {
+    const l = dist(s.a, s.b);
+    if (acc + l >= len) {
+      const t = l > 0 ? (len - acc) / l : 1;
+      pts.push({ x: s.a.x + (s.b.x - s.a.x) * t, y: s.a.y + (s.b.y - s.a.y) * t });
+      return pts;
+    }
+    pts.push(s.b);
+    acc += l;
+  }
+  return pts;
+}
+
+// Nearest spot on a path to p: distance away and arc length along the path.
+function projectOnPath(p, path) {
+  let best = { d: Infinity, at: 0 };
+  let acc = 0;
+  for (const s of path.segs) {
+    const l = segLen(s);
+    const t = segProject(p, s);
+    const d = dist(p, segPointAt(s, t));
+    if (d < best.d) best = { d, at: acc + t * l };
+    acc += l;
+  }
+  return best;
+}
+
+// Sorted, merged [s0, s1] stretches along a closed path of length L; wraps are split.
+function normaliseTabSpans(spans, L) {
+  const flat = [];
+  for (const t of spans) {
+    let s0 = ((t.s0 % L) + L) % L;
+    let s1 = s0 + (t.s1 - t.s0);
+    if (s1 - s0 >= L) return [{ s0: 0, s1: L }];
+    if (s1 > L) { flat.push({ s0, s1: L }, { s0: 0, s1: s1 - L }); }
+    else flat.push({ s0, s1 });
+  }
+  flat.sort((p, q) => p.s0 - q.s0);
+  const out = [];
+  for (const t of flat) {
+    const last = out[out.length - 1];
+    if (last && t.s0 <= last.s1) last.s1 = Math.max(last.s1, t.s1);
+    else out.push({ ...t });
+  }
+  return out;
+}
+
+// Put tabs on closed profile loops: `count` evenly spaced per loop, plus one at each
+// manual point that lands near a loop. The lifted stretch covers tab width + tool dia.
+// A loop that would start on a tab is restarted just past it.
+function assignTabs(paths, opts, manualPts) {
+  const report = { tabs: 0, loops: 0, missed: 0 };
+  const span = opts.tabWidth + opts.toolDia;
+  if (!(span > 0)) return report;
+  const closed = paths.filter(p => isClosedLoop(p, opts.chainTol));
+  const reach = Math.max(opts.toolDia * 2, 0.1);
+
+  const manual = new Map();
+  for (const pt of manualPts) {
+    let best = null;
+    for (const p of closed) {
+      const hit = projectOnPath(pt, p);
+      if (hit.d <= reach && (!best || hit.d < best.hit.d)) best = { p, hit };
+    }
+    if (!best) { report.missed++; continue; }
+    if (!manual.has(best.p)) manual.set(best.p, []);
+    manual.get(best.p).push(best.hit.at);
+  }
+
+  for (const p of closed) {
+    const L = pathLength(p);
+    if (L <= span) continue;
+    const centers = [];
+    const n = Math.min(opts.tabCount, Math.floor(L / (span * 2)));
+    for (let k = 0; k < n; k++) centers.push(L * (k + 0.5) / n);
+    centers.push(...(manual.get(p) || []));
+    if (!centers.length) continue;
+
+    p.tabs = normaliseTabSpans(centers.map(c => ({ s0: c - span / 2, s1: c + span / 2 })), L);
+    // the entry goes straight to pass depth, so the loop must not start on a tab
+    const first = p.tabs[0];
+    if (first.s0 < 1e-9 && first.s1 < L - 1e-9) {
+      p.segs = rotateLoop(p, first.s1).segs;
+      p.tabs = normaliseTabSpans(p.tabs.map(t => ({ s0: t.s0 - first.s1, s1: t.s1 - first.s1 })), L);
+      delete p.helixAt;
+    }
+    report.loops++;
+    report.tabs += centers.length;
+  }
+  return report;
+}
+
+function describeTabReport(rep) {
+  const notes = [];
+  if (rep.tooTall) notes.push("Tab height ≥ cut depth — tabs ignored");
+  if (rep.missed) notes.push(`${rep.missed} clicked tab(s) not near a closed loop`);
+  return notes;
+}
+
+// ---------------- Cut direction + loop starts ----------------
+// With the spindle turning clockwise (M3) a cut is climb when the finished wall is on
+// the tool's right (the G41 side) and conventional when it is on the left: a climb
+// outside profile runs clockwise, a climb pocket wall counter-clockwise.
+function loopIsCCW(p) {
+  return signedArea(linearizeSegs(p.segs, 0.01).map(s => s.a)) > 0;
+}
+
+// Offsets and pocket rings record their waste side; plain on-line loops go by nesting
+// (outlines keep what is inside them, holes keep what is outside).
+function partOnLeft(p, depth) {
+  if (p.wasteLeft !== undefined) return !p.wasteLeft;
+  return loopIsCCW(p) === (depth % 2 === 0);
+}
+
+// Reverse closed loops that do not run in the chosen direction ("any" leaves them be).
+// Loops reversed on the canvas (fixedDir) keep the direction the user gave them.
+function orientLoops(paths, dir) {
+  if (dir !== "climb" && dir !== "conventional") return paths;
+  const parent = findParents(paths);
+  const depthOf = (i) => { let d = 0; for (let j = parent[i]; j >= 0; j = parent[j]) d++; return d; };
+  return paths.map((p, i) => {
+    if (!pathIsClosed(p) || p.fixedDir) return p;
+    return partOnLeft(p, depthOf(i)) !== (dir === "climb") ? p : reversePath(p);
+  });
+}
+
+// The same loop, starting `at` along its length.
+function rotateLoop(p, at) {
+  const n = p.segs.length;
+  let acc = 0;
+  for (let k = 0; k < n; k++) {
+    const s = p.segs[k], l = segLen(s);
+    if (at >= acc + l && k < n - 1) { acc += l; continue; }
+    const t = l > 0 ? Math.min(1, Math.max(0, (at - acc) / l)) : 0;
+    if (t < 1e-6 || t > 1 - 1e-6) {
+      const j = (t < 1e-6 ? k : k + 1) % n;
+      return j === 0 ? p : { ...p, segs: [...p.segs.slice(j), ...p.segs.slice(0, j)] };
+    }
+    return { ...p, segs: [subSeg(s, t, 1), ...p.segs.slice(k + 1), ...p.segs.slice(0, k), subSeg(s, 0, t)] };
+  }
+  return p;
+}
+
+// Length along the loop to its sharpest corner, or null when it has none worth using.
+function sharpestCorner(p) {
+  let best = null, bestTurn = degToRad(20), acc = 0;
+  p.segs.forEach((s, k) => {
+    const prev = p.segs[(k + p.segs.length - 1) % p.segs.length];
+    const turn = Math.abs(normAng(startDir(s) - endDir(prev)));
+    if (turn > bestTurn + 1e-9) { bestTurn = turn; best = acc; }
+    acc += segLen(s);
+  });
+  return best;
+}
+
+// Start closed loops at the nearest clicked start point (within reach) or, when asked,
+// at their sharpest corner. pts are in world coordinates.
+function applyLoopStarts(paths, o, pts) {
+  const reach = Math.max(o.toolDia * 2, 0.1);
+  const picked = new Map();
+  let missed = 0;
+  for (const pt of pts) {
+    let best = null;
+    for (const p of paths) {
+      if (!pathIsClosed(p)) continue;
+      const hit = projectOnPath(pt, p);
+      if (hit.d <= reach && (!best || hit.d < best.hit.d)) best = { p, hit };
+    }
+    if (best) picked.set(best.p, best.hit.at);
+    else missed++;
+  }
+  const out = paths.map(p => {
+    if (!pathIsClosed(p)) return p;
+    const at = picked.has(p) ? picked.get(p) : o.loopStart === "corner" ? sharpestCorner(p) : null;
+    return at === null ? p : rotateLoop(p, at);
+  });
+  return { paths: out, missed };
+}
+
+// ---------------- Drilling ----------------
+// Drill hits come from DXF POINTs and from full circles (whole CIRCLEs, or arcs that
+// close up around one centre) no wider than maxDia; maxDia 0 takes every circle and
+// null none, points included (stray CAD points are not plunged unless asked for).
+// Returns { holes: [{ x, y, dia }], rest, skippedPoints } where rest is the geometry left
+// to mill.
+function findDrillHoles(segs, maxDia, tol) {
+  const key = (s) => {
+    const r = dist(s.c, s.a);
+    return `${Math.round(s.c.x / tol)},${Math.round(s.c.y / tol)},${Math.round(r / tol)}`;
+  };
+  const circles = new Map();
+  for (const s of segs) {
+    if (!isArc(s)) continue;
+    const k = key(s);
+    if (!circles.has(k)) circles.set(k, { segs: [], sweep: 0 });
+    const g = circles.get(k);
+    g.segs.push(s);
+    g.sweep += Math.abs(arcSweep(s).sweep);
+  }
+
+  const holes = [];
+  const used = new Set();
+  for (const g of circles.values()) {
+    const s = g.segs[0];
+    const dia = 2 * dist(s.c, s.a);
+    if (maxDia === null || g.sweep < 2 * Math.PI - 1e-3 || (maxDia > 0 && dia > maxDia + 1e-9)) continue;
+    holes.push({ x: s.c.x, y: s.c.y, dia });
+    for (const q of g.segs) used.add(q);
+  }
+  const points = segs.filter(s => s.point);
+  if (maxDia !== null) for (const s of points) holes.push({ x: s.a.x, y: s.a.y, dia: 0 });
+  return { holes, rest: segs.filter(s => !s.point && !used.has(s)), skippedPoints: maxDia === null ? points.length : 0 };
+}
+
+// Visit order with the least travel from start (same greedy + 2-opt as paths).
+function orderHoles(holes, start = { x: 0, y: 0 }) {
+  const order = orderPaths(holes.map(h => ({ segs: [{ a: h, b: h }], closed: true })), start);
+  return { holes: order.paths.map(p => p.segs[0].a), rapidSaved: Math.max(0, order.greedy - order.optimized) };
+}
+
+// Notes for one drill group: holes the tool cannot open up to size.
+function describeDrillHoles(holes, o) {
+  const wide = holes.filter(h => h.dia > o.toolDia + 1e-3).length;
+  return wide && o.toolDia > 0 ? [`${wide} hole(s) wider than the ${fmtLen(o.toolDia)} tool drilled at tool size`] : [];
+}
+
+// ---------------- Entry moves ----------------
+// Helix entries circle a quarter tool diameter out from the path start.
+function helixRadius(opts) { return opts.toolDia * 0.25; }
+
+// Helix centre for a path entry: out from the start along the waste-side bisector,
+// as close as it can be while the circle stays clear of the path (and of `clear`).
+function findHelixCenter(p, left, rh, clear) {
+  const s0 = p.segs[0];
+  const side = left ? 1 : -1;
+  const d1 = startDir(s0);
+  let nx = -Math.sin(d1) * side, ny = Math.cos(d1) * side;
+  const last = p.segs[p.segs.length - 1];
+  if (samePt(last.b, s0.a, 1e-6)) {
+    const d0 = endDir(last);
+    nx -= Math.sin(d0) * side;
+    ny += Math.cos(d0) * side;
+    const l = Math.hypot(nx, ny);
+    if (l < 1e-9) return null;
+    nx /= l; ny /= l;
+  }
+  for (const k of [1, 1.25, 1.5, 2, 3, 4]) {
+    const c = { x: s0.a.x + nx * rh * k, y: s0.a.y + ny * rh * k };
+    if (p.segs.some(s => distToSegment(c, s) < rh * 0.999)) continue;
+    if (clear && !clear(c)) continue;
+    return c;
+  }
+  return null;
+}
+
+// ---------------- Machine profiles ----------------
+// Machine profiles (inches, in/min). The first one is the shop's i-Carver and the default.
+const DEFAULT_MACHINES = [{
+  id: "icarver",
+  name: "General International i-Carver 40-915 XM1",
+  travelX: 15, travelY: 20, travelZ: 3,
+  home: "tl", zero: "center", dirX: 1, dirY: -1,
+  maxFeedXY: 300, maxFeedZ: 100, rapidXY: 300, rapidZ: 100,
+  rpmMin: 0, rpmMax: 24000, accel: 10, post: "icarver"
+}];
+
+// Travel rectangle in part coords: centred on 0,0 for center-zero, else anchored at HOME.
+function machineRect(m) {
+  const w = m.travelX, h = m.travelY;
+  if (m.zero !== "home") return { minX: -w / 2, maxX: w / 2, minY: -h / 2, maxY: h / 2 };
+  const left = m.home === "tl" || m.home === "bl";
+  const top = m.home === "tl" || m.home === "tr";
+  return { minX: left ? 0 : -w, maxX: left ? w : 0, minY: top ? -h : 0, maxY: top ? 0 : h };
+}
+
+function machineHome(m) {
+  const r = machineRect(m);
+  return {
+    x: m.home === "tl" || m.home === "bl" ? r.minX : r.maxX,
+    y: m.home === "tl" || m.home === "tr" ? r.maxY : r.minY
+  };
+}
+
+// Clamp feeds and spindle speed to what the machine can do; returns notes for the status bar.
+function applyMachineLimits(opts, m) {
+  const notes = [];
+  if (m.maxFeedXY > 0 && opts.feedXY > m.maxFeedXY) { opts.feedXY = m.maxFeedXY; notes.push(`Feed XY clamped to ${shownLen(m.maxFeedXY)}`); }
+  if (m.maxFeedZ > 0 && opts.feedZ > m.maxFeedZ) { opts.feedZ = m.maxFeedZ; notes.push(`Feed Z clamped to ${shownLen(m.maxFeedZ)}`); }
+  if (m.rpmMax > 0 && opts.rpm > m.rpmMax) { opts.rpm = m.rpmMax; notes.push(`Spindle clamped to S${m.rpmMax}`); }
+  if (opts.rpm < m.rpmMin) { opts.rpm = m.rpmMin; notes.push(`Spindle raised to S${m.rpmMin}`); }
+  if (m.travelZ > 0 && opts.safeZ + opts.depth > m.travelZ) notes.push(`Safe Z + depth exceeds ${fmtLen(m.travelZ)} Z travel`);
+  opts.maxFeedXY = m.maxFeedXY;
+  opts.post = POSTS[m.post] ? m.post : "icarver";
+  return notes;
+}
+
+// ---------------- Machine bounds check ----------------
+// Machine readout for a part-coords point: distance from HOME, signed by the axis directions.
+function toMachineCoords(p, m) {
+  const h = machineHome(m);
+  return { x: (p.x - h.x) * m.dirX, y: (p.y - h.y) * m.dirY };
+}
+// Readout range of each axis over the travel, e.g. { x: [0, 15], y: [0, 20] }.
+function machineLimits(m) {
+  const r = machineRect(m), h = machineHome(m);
+  const x = [(r.minX - h.x) * m.dirX, (r.maxX - h.x) * m.dirX].sort((p, q) => p - q);
+  const y = [(r.minY - h.y) * m.dirY, (r.maxY - h.y) * m.dirY].sort((p, q) => p - q);
+  return { x, y };
+}
+function insideMachine(pm, m) {
+  const L = machineLimits(m);
+  const eps = 1e-9;
+  return pm.x >= L.x[0] - eps && pm.x <= L.x[1] + eps && pm.y >= L.y[0] - eps && pm.y <= L.y[1] + eps;
+}
+function checkOvertravelAndMark(toolSegments, m) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+  for (const s of toolSegments) {
+    const box = segBox(s);
+    const am = toMachineCoords({ x: box.minX, y: box.minY }, m);
+    const bm = toMachineCoords({ x: box.maxX, y: box.maxY }, m);
+
+    minX = Math.min(minX, am.x, bm.x);
+    maxX = Math.max(maxX, am.x, bm.x);
+    minY = Math.min(minY, am.y, bm.y);
+    maxY = Math.max(maxY, am.y, bm.y);
+
+    s.outOfBounds = !(insideMachine(am, m) && insideMachine(bm, m));
+  }
+
+  const L = machineLimits(m);
+  return {
+    minX, maxX, minY, maxY, limits: L,
+    isOver: (minX < L.x[0] - 1e-9) || (maxX > L.x[1] + 1e-9) || (minY < L.y[0] - 1e-9) || (maxY > L.y[1] + 1e-9)
+  };
+}
+
+// ---------------- Keep-outs ----------------
+const KEEPOUT_CLEARANCE = 0.05;
+
+function rectFromPts(p, q) {
+  return { minX: Math.min(p.x, q.x), minY: Math.min(p.y, q.y), maxX: Math.max(p.x, q.x), maxY: Math.max(p.y, q.y) };
+}
+
+function inflateRect(r, d) {
+  return { minX: r.minX - d, minY: r.minY - d, maxX: r.maxX + d, maxY: r.maxY + d };
+}
+
+function insideRect(p, r) {
+  return p.x > r.minX && p.x < r.maxX && p.y > r.minY && p.y < r.maxY;
+}
+
+// Does line a→b pass through the inside of r? (Liang–Barsky clip.)
+function lineCrossesRect(a, b, r) {
+  let t0 = 0, t1 = 1;
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const clip = (p, q) => {
+    if (Math.abs(p) < 1e-15) return q > 0;
+    const t = q / p;
+    if (p < 0) { if (t > t1) return false; if (t > t0) t0 = t; }
+    else { if (t < t0) return false; if (t < t1) t1 = t; }
+    return true;
+  };
+  if (!clip(-dx, a.x - r.minX) || !clip(dx, r.maxX - a.x) || !clip(-dy, a.y - r.minY) || !clip(dy, r.maxY - a.y)) return false;
+  return t1 - t0 > 1e-9;
+}
+
+function segCrossesRect(s, r) {
+  return linearizeSeg(s, 0.005).some(l => lineCrossesRect(l.a, l.b, r));
+}
+
+// Mark segments that leave the stock (cuts only) or touch a keep-out (cuts and rapids).
+// stock: { w, h } centred on 0,0. Returns [{ idx, line, kind, what }] for the collision list.
+function checkCollisionsAndMark(toolSegments, toolDia, stockSize, rects) {
+  const { w, h } = stockSize;
+  const stock = { minX: -w / 2, minY: -h / 2, maxX: w / 2, maxY: h / 2 };
+  const zones = rects.map(k => inflateRect(k, Math.max(0, toolDia) / 2));
+  const hits = [];
+  toolSegments.forEach((s, idx) => {
+    s.collision = null;
+    const k = zones.findIndex(z => segCrossesRect(s, z) || insideRect(s.a, z) || insideRect(s.b, z));
+    if (k >= 0) s.collision = { kind: "keepout", what: `keep-out ${k + 1}` };
+    else if (s.mode === "CUT") {
+      const box = segBox(s);
+      const eps = 1e-6;
+      if (box.minX < stock.minX - eps || box.maxX > stock.maxX + eps || box.minY < stock.minY - eps || box.maxY > stock.maxY + eps) {
+        s.collision = { kind: "stock", what: "outside stock" };
+      }
+    }
+    if (s.collision) hits.push({ idx, line: s.ncLineIdx, mode: s.mode, ...s.collision });
+  });
+  return hits;
+}
+
+function describeCollisions(hits) {
+  if (!hits.length) return [];
+  const ko = hits.filter(x => x.kind === "keepout").length, st = hits.length - ko;
+  const out = [];
+  if (ko) out.push(`${ko} move(s) hit keep-outs`);
+  if (st) out.push(`${st} cut(s) leave the stock`);
+  return out;
+}
+
+// Shortest rapid from a to b around the keep-outs (each grown by pad), through the
+// corners of the grown rectangles. Returns the points after a, ending at b.
+function routeAround(a, b, pad, rects) {
+  const zones = rects.map(k => inflateRect(k, pad));
+  const blocked = (p, q) => zones.some(z => lineCrossesRect(p, q, z));
+  if (!blocked(a, b) || zones.some(z => insideRect(a, z) || insideRect(b, z))) return [b];
+
+  const nodes = [a, b];
+  for (const z of zones) {
+    const g = inflateRect(z, 1e-4);
+    for (const p of [{ x: g.minX, y: g.minY }, { x: g.maxX, y: g.minY }, { x: g.maxX, y: g.maxY }, { x: g.minX, y: g.maxY }]) {
+      if (!zones.some(o => insideRect(p, o))) nodes.push(p);
+    }
+  }
+  const n = nodes.length;
+  const best = new Array(n).fill(Infinity), prev = new Array(n).fill(-1), done = new Array(n).fill(false);
+  best[0] = 0;
+  for (;;) {
+    let u = -1;
+    for (let i = 0; i < n; i++) if (!done[i] && best[i] < Infinity && (u < 0 || best[i] < best[u])) u = i;
+    if (u < 0 || u === 1) break;
+    done[u] = true;
+    for (let v = 0; v < n; v++) {
+      if (done[v] || blocked(nodes[u], nodes[v])) continue;
+      const d = best[u] + dist(nodes[u], nodes[v]);
+      if (d < best[v]) { best[v] = d; prev[v] = u; }
+    }
+  }
+  if (prev[1] < 0) return [b];
+  const route = [];
+  for (let v = 1; v > 0; v = prev[v]) route.unshift(nodes[v]);
+  return route;
+}
+
+// ---------------- Post-processors ----------------
+// Each post turns the move list from buildProgram into one controller's dialect.
+// setup: modal codes after the header; decimals: null keeps Trace precision rounding.
+// cannedCycles: the controller runs G81/G83 drilling; otherwise drills are spelled out.
+const POSTS = {
+  icarver: {
+    name: "i-Carver (.dat)", ext: ".dat", percent: true, lineNumbers: 0, comments: "paren", decimals: null, cannedCycles: false,
+    setup: [["G90", "absolute"], ["G94", "feed/min"], ["G17", "XY plane"], ["G20", "inches"],
+      ["G40", "cancel cutter comp"], ["G49", "cancel tool length offset"], ["G54", "work offset"]],
+    end: "M30"
+  },
+  grbl: {
+    name: "GRBL (.nc)", ext: ".nc", percent: false, lineNumbers: 0, comments: "semicolon", decimals: 4, cannedCycles: false,
+    setup: [["G90", "absolute"], ["G94", "feed/min"], ["G17", "XY plane"], ["G20", "inches"], ["G54", "work offset"]],
+    end: "M30"
+  },
+  mach3: {
+    name: "Mach3 (.tap)", ext: ".tap", percent: false, lineNumbers: 10, comments: "paren", decimals: 4, cannedCycles: true,
+    setup: [["G90", "absolute"], ["G91.1", "incremental arc centres"], ["G94", "feed/min"], ["G17", "XY plane"],
+      ["G20", "inches"], ["G40", "cancel cutter comp"], ["G49", "cancel tool length offset"], ["G54", "work offset"]],
+    end: "M30"
+  },
+  linuxcnc: {
+    name: "LinuxCNC (.ngc)", ext: ".ngc", percent: true, lineNumbers: 0, comments: "paren", decimals: 4, cannedCycles: true,
+    setup: [["G90", "absolute"], ["G94", "feed/min"], ["G17", "XY plane"], ["G20", "inches"], ["G40", "cancel cutter comp"],
+      ["G49", "cancel tool length offset"], ["G54", "work offset"], ["G64 P0.001", "path blending tolerance"]],
+    end: "M2"
+  }
+};
+
+// Rounding step in output units. Millimetre programs drop one decimal; without a fixed
+// count the step is the Trace precision (inches) or the nearest decimal below it (mm).
+function postStep(post, opts) {
+  const k = unitInfo(opts.units).k;
+  if (k === 1) return post.decimals ? Math.pow(10, -post.decimals) : opts.outPrec;
+  if (post.decimals) return Math.pow(10, -Math.max(0, post.decimals - 1));
+  return Math.pow(10, -Math.max(0, Math.ceil(-Math.log10(opts.outPrec * k) - 1e-9)));
+}
+
+// moves (inches) → { lines, lineOf } where lineOf[i] is the text line of move i.
+function postProcess(moves, post, opts) {
+  const P = postStep(post, opts);
+  const { k, gcode } = unitInfo(opts.units);
+  const lines = [];
+  const lineOf = [];
+  let n = 0;
+  const note = (text) => post.comments === "semicolon" ? `; ${text}` : `(${text.replace(/[()]/g, "")})`;
+  const tail = (code, text) => post.comments === "semicolon" ? `${code} ; ${text}` : `${code} (${text})`;
+  const emit = (line) => {
+    if (post.lineNumbers && line !== "%") { n += post.lineNumbers; line = `N${n} ${line}`; }
+    lines.push(line);
+    return lines.length - 1;
+  };
+  const words = (m) => [
+    m.x !== undefined ? `X${fmt(m.x * k, P)}` : null,
+    m.y !== undefined ? `Y${fmt(m.y * k, P)}` : null,
+    m.z !== undefined ? `Z${fmt(m.z * k, P)}` : null
+  ].filter(Boolean).join(" ");
+
+  moves.forEach((m, i) => {
+    let ln = lines.length;
+    if (m.t === "start") {
+      if (post.percent) emit("%");
+      emit(note("NorrisCAM - USB G-code"));
+    } else if (m.t === "comment") {
+      ln = emit(note(m.text));
+    } else if (m.t === "setup") {
+      for (const [code, text] of post.setup) emit(code === "G20" ? tail(...gcode) : tail(code, text));
+      emit(tail(`M3 S${m.rpm}`, "spindle on"));
+    } else if (m.t === "rapid") {
+      ln = emit(`G0 ${words(m)}`);
+    } else if (m.t === "feed") {
+      ln = emit(`F${fmt(m.f * k, 0.1)}`);
+    } else if (m.t === "line") {
+      ln = emit(`G1 ${words(m)}${m.f !== undefined ? ` F${fmt(m.f * k, 0.1)}` : ""}`);
+    } else if (m.t === "arc") {
+      const centre = m.r !== undefined ? `R${fmt(m.r * k, 0.0001)}` : `I${fmt(m.i * k, 0.0001)} J${fmt(m.j * k, 0.0001)}`;
+      ln = emit(`${m.ccw ? "G3" : "G2"} ${words(m)} ${centre}`);
+    } else if (m.t === "cycle") {
+      // G98: back to the starting Z (safe Z) between holes
+      const q = m.q ? ` Q${fmt(m.q * k, P)}` : "";
+      ln = emit(`${m.first ? "G98 " : ""}G${m.code} ${words(m)} R${fmt(m.r * k, P)}${q}${m.f !== undefined ? ` F${fmt(m.f * k, 0.1)}` : ""}`);
+    } else if (m.t === "cycleEnd") {
+      ln = emit(tail("G80", "cancel canned cycle"));
+    } else if (m.t === "end") {
+      emit(tail("M5", "spindle stop"));
+      emit(tail(post.end, "end"));
+      if (post.percent) emit("%");
+    }
+    lineOf[i] = ln;
+  });
+  return { lines, lineOf };
+}
+
+// ---------------- NC generation ----------------
+// One line describing how a group is cut, or null for plain on-line profiling.
+function operationComment(o) {
+  if (o.operation === "drill") return `Drill to ${lenNum(o.depth)}${drillPeck(o) ? `, peck ${lenNum(o.peckDepth)}` : ""}`;
+  if (o.engrave) return `Engrave on line, depth ${lenNum(o.depth)}`;
+  if (o.operation && o.operation !== "profile") {
+    return `Pocket ${o.operation === "pocket-zigzag" ? "zig-zag" : "offset"}, stepover ${fmt(o.stepoverPct, 1)}% of ${lenNum(o.toolDia)} tool`;
+  }
+  if (o.profileSide && o.profileSide !== "on" && o.toolDia > 0) {
+    return `Profile ${o.profileSide}, tool dia ${lenNum(o.toolDia)} - offset in path, no G41/G42`;
+  }
+  return null;
+}
+
+// Peck depth for a drill group, 0 for one straight plunge (G81 never pecks).
+function drillPeck(o) { return o.drillCycle !== "g81" && o.peckDepth > 0 ? o.peckDepth : 0; }
+
+// Drill feeds start from this height (or safe Z if lower); pecks come back to just above
+// the last bottom.
+const DRILL_R_PLANE = 0.1;
+const DRILL_PECK_CLEAR = 0.01;
+
+// groups: [{ paths, opts, label }] (with holes instead of paths for drilling) cut one
+// after another; each group's opts carry its own depth, stepdown, feed and operation.
+// Machine-wide settings (post, keep-outs to route rapids around) come from baseOpts.
+// Produces a move list; the post named by baseOpts.post turns it into text.
+function buildProgram(groups, baseOpts) {
+  let opts = baseOpts;
+  const post = POSTS[opts.post] || POSTS.icarver;
+  // P: output rounding in inches; onGrid rounds a coordinate the way the post will
+  const k = unitInfo(opts.units).k, step = postStep(post, opts);
+  const P = step / k;
+  const onGrid = (v) => Number(fmt(v * k, step)) / k;
+  const safeZ = opts.safeZ;
+  const keepOuts = opts.keepOuts || [];
+
+  const moves = [];
+  const segs = [];
+
+  const push = (mv) => { moves.push(mv); return moves.length - 1; };
+
+  push({ t: "start" });
+  push({ t: "comment", text: opts.toolComment.replace(/^\(|\)$/g, "") });
+  if (groups.length === 1 && operationComment(groups[0].opts)) push({ t: "comment", text: operationComment(groups[0].opts) });
+  push({ t: "setup", rpm: opts.rpm });
+  push({ t: "rapid", z: safeZ });
+
+  let curXY = { x: 0, y: 0 };
+  let curZ = safeZ;
+  let lastF = null;
+
+  function retract() {
+    if (curZ !== safeZ) {
+      push({ t: "rapid", z: safeZ });
+      curZ = safeZ;
+    }
+  }
+  function rapidTo(x, y) {
+    const route = opts.routeRapids && keepOuts.length && curZ === safeZ
+      ? routeAround(curXY, { x, y }, opts.toolDia / 2 + KEEPOUT_CLEARANCE, keepOuts) : [{ x, y }];
+    for (const b of route) {
+      const a = { ...curXY };
+      const mv = push({ t: "rapid", x: b.x, y: b.y });
+      segs.push({ a, b, mode: "RAPID", z: curZ, mv });
+      curXY = b;
+    }
+  }
+  function plunge(z) {
+    const mv = push(lastF === opts.feedZ ? { t: "line", z } : { t: "line", z, f: opts.feedZ });
+    lastF = opts.feedZ;
+    curZ = z;
+    return mv;
+  }
+  function setFeedXY() {
+    if (lastF !== opts.feedXY) {
+      push({ t: "feed", f: opts.feedXY });
+      lastF = opts.feedXY;
+    }
+  }
+  function cutTo(x, y, tab = false) {
+    const a = { ...curXY }, b = { x, y };
+    const mv = push({ t: "line", x, y });
+    const seg = { a, b, mode: "CUT", z: curZ, mv };
+    if (tab) seg.tab = true;
+    segs.push(seg);
+    curXY = b;
+  }
+
+  // Arc from curXY to s.b. The centre is refitted to the rounded endpoints so the
+  // controller sees the same radius at both ends; R arcs over 180° are split in two.
+  function arcTo(s, tab = false) {
+    const b = { x: onGrid(s.b.x), y: onGrid(s.b.y) };
+    const a = { x: onGrid(curXY.x), y: onGrid(curXY.y) };
+    if (samePt(a, b, P * 0.5) || dist(s.c, s.a) < P) { cutTo(s.b.x, s.b.y, tab); return; }
+    const { sweep } = arcSweep({ ...s, a: curXY });
+    if (opts.arcOutput === "r" && Math.abs(sweep) > Math.PI - 1e-6) {
+      const half = subSeg({ ...s, a: curXY }, 0, 0.5);
+      arcTo(half, tab);
+      arcTo({ ...s, a: half.b }, tab);
+      return;
+    }
+    const c = refitArc({ ...s, a, b }).c;
+    const mv = opts.arcOutput === "r"
+      ? push({ t: "arc", ccw: s.ccw, x: s.b.x, y: s.b.y, r: dist(c, a) })
+      : push({ t: "arc", ccw: s.ccw, x: s.b.x, y: s.b.y, i: c.x - a.x, j: c.y - a.y });
+    const seg = { a: { ...curXY }, b: { ...s.b }, c: { ...s.c }, ccw: s.ccw, mode: "CUT", z: curZ, mv };
+    if (tab) seg.tab = true;
+    segs.push(seg);
+    curXY = { ...s.b };
+  }
+  function cutSeg(s, tab = false) {
+    if (isArc(s)) arcTo(s, tab);
+    else cutTo(s.b.x, s.b.y, tab);
+  }
+
+  function entryTo(x, y, z) {
+    const a = { ...curXY, z: curZ }, b = { x, y, z };
+    const mv = push({ t: "line", x, y, z });
+    segs.push({ a, b, mode: "CUT", entry: true, mv });
+    curXY = { x, y };
+    curZ = z;
+  }
+
+  const tanRamp = Math.tan(degToRad(Math.min(45, Math.max(0.5, opts.rampAngleDeg || 5))));
+
+  // Zig-zag back and forth over the start of the path, ending at its start at depth z.
+  function rampEntry(p, zTop, z) {
+    const need = (zTop - z) / tanRamp;
+    const L = pathLength(p);
+    if (!(L > Math.max(P, 1e-4))) return false;
+    let legs = Math.max(2, Math.ceil(need / L - 1e-9));
+    if (legs % 2) legs++;
+    const leg = need / legs;
+    const pts = pathPrefixPts(p, leg);
+    const drop = (zTop - z) / need;
+
+    setFeedXY();
+    let zz = zTop;
+    for (let k = 0; k < legs; k++) {
+      const seq = k % 2 === 0 ? pts : pts.slice().reverse();
+      for (let i = 1; i < seq.length; i++) {
+        zz -= dist(seq[i - 1], seq[i]) * drop;
+        entryTo(seq[i].x, seq[i].y, Math.max(z, zz));
+      }
+    }
+    curZ = z;
+    return true;
+  }
+
+  function helixPlan(p) {
+    if (p.wasteLeft === undefined) return null;
+    const rh = helixRadius(opts);
+    if (!(rh > P)) return null;
+    const c = p.helixAt !== undefined ? p.helixAt : findHelixCenter(p, p.wasteLeft, rh, null);
+    if (!c) return null;
+    const s = p.segs[0].a;
+    const l = dist(s, c) || 1;
+    return { c, rh, ccw: p.wasteLeft, start: s, h0: { x: c.x + (s.x - c.x) * rh / l, y: c.y + (s.y - c.y) * rh / l } };
+  }
+
+  // Spiral down on a small circle on the waste side, one flat turn, then feed over to
+  // the path start if the circle had to sit further out than one radius.
+  function helixEntry(h, zTop, z) {
+    const turns = Math.max(1, Math.ceil((zTop - z) / (2 * Math.PI * h.rh * tanRamp) - 1e-9));
+    const a0 = Math.atan2(h.h0.y - h.c.y, h.h0.x - h.c.x);
+    const sweep = (h.ccw ? 1 : -1) * 2 * Math.PI;
+    const down = joinArcPts(h.c, h.rh, a0, sweep * turns, P);
+    const flat = joinArcPts(h.c, h.rh, a0, sweep, P);
+
+    setFeedXY();
+    for (let i = 1; i < down.length; i++) entryTo(down[i].x, down[i].y, zTop + (z - zTop) * i / (down.length - 1));
+    for (let i = 1; i < flat.length; i++) entryTo(flat[i].x, flat[i].y, z);
+    if (!samePt(curXY, h.start, 1e-9)) entryTo(h.start.x, h.start.y, z);
+  }
+
+  // Get down to depth z at the path start. Feeds straight down to the previous pass
+  // depth (where material starts), then ramps or helixes the rest if asked to.
+  function enter(p, zTop, z) {
+    const top = Math.min(curZ, zTop);
+    if (opts.entry === "straight" || !(top > z + 1e-9)) { plunge(z); return; }
+    const helix = opts.entry === "helix" && curZ === safeZ ? helixPlan(p) : null;
+    if (helix && !samePt(curXY, helix.h0, 1e-9)) rapidTo(helix.h0.x, helix.h0.y);
+    if (curZ > top) plunge(top);
+    if (helix) helixEntry(helix, top, z);
+    else if (!rampEntry(p, top, z)) plunge(z);
+  }
+
+  // Drill each hole to z: canned G81/G83 where the post has them, else the same moves
+  // in G0/G1. A zero-length seg from the R plane to the bottom marks each hit.
+  function drillHoles(holes, z) {
+    const zR = Math.min(safeZ, DRILL_R_PLANE);
+    const peck = drillPeck(opts);
+    const canned = opts.drillCycle !== "expanded" && post.cannedCycles;
+    retract();
+    holes.forEach((h, i) => {
+      let mv;
+      if (canned) {
+        if (opts.routeRapids && keepOuts.length) rapidTo(h.x, h.y);
+        const a = { ...curXY }, b = { x: h.x, y: h.y };
+        mv = push({ t: "cycle", code: peck ? 83 : 81, first: i === 0, x: h.x, y: h.y, z, r: zR, q: peck, f: lastF === opts.feedZ ? undefined : opts.feedZ });
+        lastF = opts.feedZ;
+        if (!samePt(a, b, 1e-9)) segs.push({ a, b, mode: "RAPID", z: safeZ, mv });
+        curXY = b;
+      } else {
+        rapidTo(h.x, h.y);
+        push({ t: "rapid", z: zR });
+        let bottom = zR;
+        while (bottom > z + 1e-9) {
+          if (bottom < zR) {
+            push({ t: "rapid", z: zR });
+            push({ t: "rapid", z: bottom + DRILL_PECK_CLEAR });
+          }
+          const next = peck ? Math.max(z, bottom - peck) : z;
+          const m = plunge(next);
+          if (mv === undefined) mv = m;
+          bottom = next;
+        }
+        push({ t: "rapid", z: safeZ });
+        curZ = safeZ;
+      }
+      segs.push({ a: { x: h.x, y: h.y, z: zR }, b: { x: h.x, y: h.y, z }, mode: "CUT", z, entry: true, drill: true, mv });
+    });
+    if (canned && holes.length) push({ t: "cycleEnd" });
+  }
+
+  // Cut a path at depth z, lifting to the tab top over each tab stretch.
+  let tabTop = 0;
+  function cutWithTabs(p, z) {
+    let acc = 0;
+    for (const s of p.segs) {
+      const l = segLen(s);
+      const marks = [];
+      for (const t of p.tabs) {
+        if (t.s0 > acc && t.s0 < acc + l) marks.push(t.s0);
+        if (t.s1 > acc && t.s1 < acc + l) marks.push(t.s1);
+      }
+      marks.sort((m, n) => m - n).push(acc + l);
+
+      let from = acc;
+      for (const m of marks) {
+        const mid = (from + m) / 2;
+        const onTab = p.tabs.some(t => mid > t.s0 && mid < t.s1);
+        const zz = onTab ? tabTop : z;
+        if (curZ !== zz) { plunge(zz); setFeedXY(); }
+        const t0 = l > 0 ? (from - acc) / l : 0;
+        const t1 = l > 0 ? (m - acc) / l : 1;
+        cutSeg(subSeg(s, t0, t1), onTab);
+        from = m;
+      }
+      acc += l;
+    }
+  }
+
+  let totalPasses = 0;
+  for (const group of groups) {
+    opts = group.opts;
+    const paths = group.paths;
+    const depth = opts.depth;
+
+    if (groups.length > 1) {
+      retract();
+      const layer = group.label ? `Layer ${group.label}: ` : "";
+      push({ t: "comment", text: `${layer}${LAYER_OP_LABELS[opts.engrave ? "engrave" : opts.operation] || opts.operation}, depth ${lenNum(depth)}` });
+      const note = operationComment(opts);
+      if (note && !opts.engrave) push({ t: "comment", text: note });
+    }
+
+    if (group.holes) {
+      drillHoles(group.holes, -depth);
+      totalPasses += 1;
+      continue;
+    }
+
+    const step = opts.stepDown;
+    const passes = Math.max(1, Math.ceil(depth / step));
+    const zPass = [];
+    for (let i = 1; i <= passes; i++) zPass.push(-Math.min(depth, i * step));
+    tabTop = -depth + (opts.tabHeight || 0);
+    totalPasses += passes;
+
+    zPass.forEach((z, passIdx) => {
+      const zTop = passIdx ? zPass[passIdx - 1] : 0;
+      retract();
+
+      for (const p of paths) {
+        if (!p.segs.length) continue;
+        const start = p.segs[0].a;
+
+        if (!samePt(curXY, start, opts.chainTol)) {
+          retract();
+          rapidTo(start.x, start.y);
+          enter(p, zTop, z);
+          setFeedXY();
+        } else {
+          if (curZ > z) enter(p, zTop, z);
+          else if (curZ !== z) plunge(z);
+          setFeedXY();
+        }
+
+        if (p.tabs && opts.tabHeight > 0 && z < tabTop - 1e-9) cutWithTabs(p, z);
+        else for (const s of p.segs) cutSeg(s);
+      }
+
+      retract();
+    });
+  }
+
+  push({ t: "rapid", z: safeZ });
+  push({ t: "end" });
+
+  const out = postProcess(moves, post, opts);
+  for (const sg of segs) { sg.ncLineIdx = out.lineOf[sg.mv]; delete sg.mv; }
+  return { ncLines: out.lines, ncText: out.lines.join("\n"), toolSegs: segs, passes: totalPasses, post: post };
+}
+
+// ---------------- G-code back-plot ----------------
+// Read an existing program into the same toolSegs shape buildProgram returns, so the
+// reveal, NC highlighting, overtravel check and summary work on it unchanged.
+// Coordinates are converted to inches; only the XY plane (G17) is plotted.
+// motions lists every move, Z-only ones included, for the cycle-time estimate.
+function parseGcode(text) {
+  const ncLines = text.split(/\r\n|\r|\n/);
+  while (ncLines.length && !ncLines[ncLines.length - 1].trim()) ncLines.pop();
+
+  const segs = [];
+  const motions = [];
+  const notes = [];
+  const feedLen = {};
+  const cutZ = new Set();
+  const pos = { x: 0, y: 0, z: 0 };
+  let motion = null, absolute = true, absIJ = false, scale = 1, feed = 0, rpm = 0, plane = 17, metric = false;
+  let planeWarned = false, cycleWarned = false;
+  // drilling cycles: modal bottom Z, R plane and peck, return level (G98 / G99)
+  const cyc = { z: 0, r: 0, q: 0, initZ: 0, toR: false };
+
+  // One G73/G81/G82/G83 hit: XY at the current height, down to R, feed (in pecks) to
+  // the bottom, back out. Drawn as the XY rapid plus a zero-length drill seg.
+  function cycleHit(val, ln) {
+    const to = (k, cur) => val[k] === undefined ? cur : (absolute ? val[k] * scale : cur + val[k] * scale);
+    if (val.Z !== undefined) cyc.z = absolute ? val.Z * scale : cyc.r + val.Z * scale;
+    if (val.R !== undefined) cyc.r = absolute ? val.R * scale : pos.z + val.R * scale;
+    if (val.Q !== undefined) cyc.q = Math.abs(val.Q * scale);
+    const move = (b, rapid) => {
+      const mv = { rapid, a: { ...pos }, b: { ...pos, ...b }, feed: feed * scale, xy: [] };
+      Object.assign(pos, mv.b);
+      motions.push(mv);
+      return mv;
+    };
+    const a = { ...pos };
+    const mv = move({ x: to("X", pos.x), y: to("Y", pos.y) }, true);
+    if (Math.hypot(pos.x - a.x, pos.y - a.y) > 1e-9) {
+      const seg = { a: { x: a.x, y: a.y }, b: { x: pos.x, y: pos.y }, mode: "RAPID", z: pos.z, ncLineIdx: ln };
+      segs.push(seg);
+      mv.xy.push(seg);
+    }
+    if (pos.z !== cyc.r) move({ z: cyc.r }, true);
+    const peck = motion === 83 || motion === 73 ? cyc.q : 0;
+    let bottom = cyc.r;
+    while (bottom > cyc.z + 1e-9) {
+      if (bottom < cyc.r) {
+        if (motion === 83) move({ z: cyc.r }, true);
+        move({ z: bottom + DRILL_PECK_CLEAR }, true);
+      }
+      bottom = peck ? Math.max(cyc.z, bottom - peck) : cyc.z;
+      move({ z: bottom }, false);
+    }
+    move({ z: cyc.toR ? cyc.r : Math.max(cyc.initZ, cyc.r) }, true);
+    segs.push({ a: { x: pos.x, y: pos.y, z: cyc.r }, b: { x: pos.x, y: pos.y, z: cyc.z }, mode: "CUT", z: cyc.z, entry: true, drill: true, ncLineIdx: ln });
+  }
+
+  ncLines.forEach((raw, ln) => {
+    const line = raw.replace(/\([^)]*\)/g, " ").replace(/;.*$/, "").toUpperCase();
+    const words = [...line.matchAll(/([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g)].map(m => ({ k: m[1], v: Number(m[2]) }));
+    if (!words.length) return;
+
+    const val = {};
+    for (const w of words) {
+      if (w.k === "G") {
+        const g = Math.round(w.v * 10) / 10;
+        if (g === 0 || g === 1 || g === 2 || g === 3) motion = g;
+        else if (g === 90) absolute = true;
+        else if (g === 91) absolute = false;
+        else if (g === 90.1) absIJ = true;
+        else if (g === 91.1) absIJ = false;
+        else if (g === 20) { scale = 1; metric = false; }
+        else if (g === 21) { scale = 1 / 25.4; metric = true; }
+        else if (g === 17 || g === 18 || g === 19) plane = g;
+        else if (g === 80) motion = null;
+        else if (g === 98 || g === 99) cyc.toR = g === 99;
+        else if (g === 73 || (g >= 81 && g <= 83)) { if (motion !== g) cyc.initZ = pos.z; motion = g; }
+        else if (g >= 84 && g <= 89 && !cycleWarned) { notes.push(`Canned cycle G${g} not plotted (line ${ln + 1})`); cycleWarned = true; }
+      } else if (w.k === "F") feed = w.v;
+      else if (w.k === "S") rpm = w.v;
+      else if ("XYZIJRQ".includes(w.k)) val[w.k] = w.v;
+    }
+    if (val.X === undefined && val.Y === undefined && val.Z === undefined) return;
+    if (motion === null) return;
+    if (motion > 3) { cycleHit(val, ln); return; }
+
+    const to = (k, cur) => val[k] === undefined ? cur : (absolute ? val[k] * scale : cur + val[k] * scale);
+    const a = { ...pos };
+    const b = { x: to("X", pos.x), y: to("Y", pos.y), z: to("Z", pos.z) };
+    Object.assign(pos, b);
+    const mv = { rapid: motion === 0, a, b, feed: feed * scale, xy: [] };
+    motions.push(mv);
+    if (Math.hypot(b.x - a.x, b.y - a.y) < 1e-9 && (motion < 2 || val.I === undefined && val.J === undefined)) return;
+
+    const mode = motion === 0 ? "RAPID" : "CUT";
+    const seg = { a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y }, mode, z: b.z, ncLineIdx: ln };
+    if (Math.abs(b.z - a.z) > 1e-9) { seg.a.z = a.z; seg.b.z = b.z; seg.entry = mode === "CUT"; }
+
+    if (motion >= 2) {
+      if (plane !== 17) {
+        if (!planeWarned) { notes.push(`Arcs outside the XY plane drawn as lines (line ${ln + 1})`); planeWarned = true; }
+      } else {
+        const ccw = motion === 3;
+        let c = null;
+        if (val.R !== undefined) {
+          const r = Math.abs(val.R * scale), d = dist(seg.a, seg.b);
+          const h = Math.sqrt(Math.max(0, r * r - d * d / 4));
+          const m = { x: (seg.a.x + seg.b.x) / 2, y: (seg.a.y + seg.b.y) / 2 };
+          // R < 0 asks for the long way round
+          const s = (ccw ? 1 : -1) * (val.R < 0 ? -1 : 1);
+          if (d > 1e-9) c = { x: m.x - s * h * (seg.b.y - seg.a.y) / d, y: m.y + s * h * (seg.b.x - seg.a.x) / d };
+        } else {
+          const i = (val.I || 0) * scale, j = (val.J || 0) * scale;
+          c = absIJ ? { x: i, y: j } : { x: seg.a.x + i, y: seg.a.y + j };
+        }
+        if (c) {
+          seg.c = c; seg.ccw = ccw;
+          if (dist(seg.a, seg.b) < 1e-9) {
+            // full circle: split in two so each half has a well-defined sweep
+            const opp = { x: 2 * c.x - seg.a.x, y: 2 * c.y - seg.a.y };
+            const zm = seg.a.z !== undefined ? (seg.a.z + seg.b.z) / 2 : undefined;
+            const first = { ...seg, b: { ...opp } }, second = { ...seg, a: { ...opp } };
+            if (zm !== undefined) { first.b.z = zm; second.a.z = zm; }
+            segs.push(first, second);
+            mv.xy.push(first, second);
+            if (mode === "CUT") feedLen[feed] = (feedLen[feed] || 0) + segLen(first) + segLen(second);
+            if (mode === "CUT" && b.z < 0) cutZ.add(b.z.toFixed(4));
+            return;
+          }
+        }
+      }
+    }
+
+    segs.push(seg);
+    mv.xy.push(seg);
+    if (mode === "CUT") {
+      feedLen[feed] = (feedLen[feed] || 0) + segLen(seg);
+      if (b.z < 0 && !seg.entry) cutZ.add(b.z.toFixed(4));
+    }
+  });
+
+  // the feed most of the cutting happens at, in in/min
+  let mainFeed = 0, bestLen = -1;
+  for (const [f, len] of Object.entries(feedLen)) if (len > bestLen) { bestLen = len; mainFeed = Number(f); }
+  if (metric !== (shownUnits === "mm")) notes.push(`${metric ? "Metric (G21)" : "Inch (G20)"} program shown in ${unitInfo().gcode[1]}`);
+
+  return { ncLines, toolSegs: segs, motions, passes: cutZ.size || 1, feedXY: mainFeed * (metric ? 1 / 25.4 : 1), rpm, notes };
+}
+
+// ---------------- Cycle time ----------------
+// Trapezoidal time for one move: enter at v0, cruise at v, leave at v1 (in/s, in/s²).
+function trapezoidTime(L, v0, v1, v, a) {
+  if (!(a > 0)) return L / v;
+  const dAcc = (v * v - v0 * v0) / (2 * a), dDec = (v * v - v1 * v1) / (2 * a);
+  if (dAcc + dDec <= L) return (v - v0) / a + (v - v1) / a + (L - dAcc - dDec) / v;
+  const vp = Math.sqrt((2 * a * L + v0 * v0 + v1 * v1) / 2);
+  return (vp - v0) / a + (vp - v1) / a;
+}
+
+// Time the motions from parseGcode on machine m: rapids at the per-axis rapid rates,
+// feeds capped per axis, acceleration with junction slow-downs at corners.
+// Returns minutes: { total, cutting, rapids, plunges, passes: [{ z, min }] }.
+function estimateCycleTime(motions, m) {
+  const a = (Number(m.accel) || 0);
+  const moves = [];
+  for (const mv of motions) {
+    const dz = mv.b.z - mv.a.z;
+    const xyLen = mv.xy.reduce((t, s) => t + segLen(s), 0);
+    const L = Math.hypot(xyLen, dz);
+    if (L < 1e-9) continue;
+    const first = mv.xy[0], last = mv.xy[mv.xy.length - 1];
+    const h0 = first ? startDir(first) : 0, h1 = last ? endDir(last) : 0;
+    const d0 = first ? { x: Math.cos(h0), y: Math.sin(h0) } : { x: 0, y: 0 };
+    const d1 = last ? { x: Math.cos(h1), y: Math.sin(h1) } : { x: 0, y: 0 };
+    const kxy = xyLen / L, kz = Math.abs(dz) / L;
+    const capXY = mv.rapid ? m.rapidXY : (m.maxFeedXY || Infinity), capZ = mv.rapid ? m.rapidZ : (m.maxFeedZ || Infinity);
+    let v = mv.rapid ? Infinity : (mv.feed || capXY);
+    if (kxy > 1e-9 && capXY > 0) v = Math.min(v, capXY / kxy);
+    if (kz > 1e-9 && capZ > 0) v = Math.min(v, capZ / kz);
+    if (!isFinite(v) || v <= 0) v = mv.rapid ? 100 : 10;
+    moves.push({
+      mv, L, v: v / 60, kind: mv.rapid ? "rapids" : dz < -1e-9 ? "plunges" : "cutting",
+      d0: { x: d0.x * kxy, y: d0.y * kxy, z: dz / L }, d1: { x: d1.x * kxy, y: d1.y * kxy, z: dz / L }
+    });
+  }
+
+  // junction speeds: full stop on reversals and rapid/feed changes, near full speed on smooth runs
+  const n = moves.length;
+  const vj = new Array(n + 1).fill(0);
+  for (let i = 1; i < n; i++) {
+    const p = moves[i - 1], q = moves[i];
+    if (p.mv.rapid !== q.mv.rapid) continue;
+    const cos = p.d1.x * q.d0.x + p.d1.y * q.d0.y + p.d1.z * q.d0.z;
+    vj[i] = Math.min(p.v, q.v) * Math.max(0, cos);
+  }
+  if (a > 0) {
+    for (let i = n - 1; i >= 0; i--) vj[i] = Math.min(vj[i], Math.sqrt(vj[i + 1] ** 2 + 2 * a * moves[i].L));
+    for (let i = 0; i < n; i++) vj[i + 1] = Math.min(vj[i + 1], Math.sqrt(vj[i] ** 2 + 2 * a * moves[i].L));
+  }
+
+  const est = { total: 0, cutting: 0, rapids: 0, plunges: 0, passes: [] };
+  const byZ = new Map();
+  let cur = null, pending = 0;
+  moves.forEach((x, i) => {
+    const t = trapezoidTime(x.L, vj[i], vj[i + 1], x.v, a) / 60;
+    est.total += t;
+    est[x.kind] += t;
+    // a pass is a cutting Z level; plunges and ramps count toward the level they lead to
+    const level = x.kind === "cutting" && x.mv.b.z < 0 && Math.abs(x.mv.b.z - x.mv.a.z) < 1e-9;
+    if (level) {
+      cur = x.mv.b.z.toFixed(4);
+      byZ.set(cur, (byZ.get(cur) || 0) + pending + t);
+      pending = 0;
+    } else if (x.kind === "plunges" || cur === null) pending += t;
+    else byZ.set(cur, byZ.get(cur) + t);
+  });
+  if (pending && cur !== null) byZ.set(cur, byZ.get(cur) + pending);
+  est.passes = [...byZ.entries()].map(([z, min]) => ({ z: Number(z), min }));
+  return est;
+}
+
+function formatMinutes(min) {
+  const s = Math.round(min * 60);
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+}
+
+// One line for the summary: cutting / rapids / plunges, then each pass.
+function describeCycleTime(est) {
+  const head = `Cutting ${formatMinutes(est.cutting)} • Rapids ${formatMinutes(est.rapids)} • Plunges ${formatMinutes(est.plunges)}`;
+  if (est.passes.length < 2) return head;
+  return `${head} • Passes: ${est.passes.map(p => `Z${lenNum(p.z)} ${formatMinutes(p.min)}`).join(", ")}`;
+}
+
+// ---------------- Copies (step-and-repeat + nesting) ----------------
+function moveSegs(segs, dx, dy) {
+  return segs.map(s => mapSeg(s, p => ({ x: p.x + dx, y: p.y + dy })));
+}
+
+// Rotation (degrees, 0–90) giving the part its smallest bounding box.
+function tightestRotation(segs) {
+  const pts = linearizeSegs(segs, 0.01).map(s => s.a);
+  let best = 0, bestArea = Infinity;
+  for (let deg = 0; deg < 90; deg += 5) {
+    const th = degToRad(deg), c = Math.cos(th), s = Math.sin(th);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of pts) {
+      const x = p.x * c - p.y * s, y = p.x * s + p.y * c;
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+    const area = (maxX - minX) * (maxY - minY);
+    if (area < bestArea - 1e-9) { bestArea = area; best = deg; }
+  }
+  return best;
+}
+
+// Cells of size w×h (plus gap) that fit in a W×H area starting at (x, y).
+function gridCells(x, y, W, H, w, h, gap, rot) {
+  const nx = Math.floor((W + gap + 1e-9) / (w + gap)), ny = Math.floor((H + gap + 1e-9) / (h + gap));
+  const out = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) out.push({ x: x + i * (w + gap), y: y + j * (h + gap), rot });
+  }
+  return { cells: out, usedW: nx ? nx * (w + gap) - gap : 0, usedH: ny ? ny * (h + gap) - gap : 0 };
+}
+
+// Bounding-box nest: a grid of one orientation, then the strips left over to its right
+// and above filled with the part turned 90° (either strip may take the corner between them). Returns cell corners + rotations.
+function nestCells(segs, area, gap) {
+  const base = tightestRotation(segs);
+  const size = (rot) => { const b = bounds(transformSegs(segs, 1, rot)); return { w: b.maxX - b.minX, h: b.maxY - b.minY }; };
+  let best = [];
+  for (const [r1, r2] of [[base, base + 90], [base + 90, base]]) {
+    const s1 = size(r1), s2 = size(r2);
+    const main = gridCells(area.minX, area.minY, area.w, area.h, s1.w, s1.h, gap, r1);
+    const rightX = main.usedW ? main.usedW + gap : 0, topY = main.usedH ? main.usedH + gap : 0;
+    // the corner above-right of the grid goes to the right strip or to the top one
+    for (const rightTall of [true, false]) {
+      const right = gridCells(area.minX + rightX, area.minY, area.w - rightX, rightTall ? area.h : main.usedH, s2.w, s2.h, gap, r2);
+      const top = gridCells(area.minX, area.minY + topY, rightTall ? main.usedW : area.w, area.h - topY, s2.w, s2.h, gap, r2);
+      const cells = [...main.cells, ...right.cells, ...top.cells];
+      if (cells.length > best.length) best = cells;
+    }
+  }
+  return best;
+}
+
+// Lay out the (transformed) part as the Copies controls (co) ask on a w×h stock. Gaps and
+// the stock margin are measured between bounding boxes and include one tool diameter.
+// placements holds each copy's {dx, dy, rot} for placePt.
+function arrangeCopies(segs, co, stock) {
+  const one = { segs, copies: 1, notes: [], placements: [{ dx: 0, dy: 0, rot: 0 }] };
+  if (co.mode === "one" || !segs.length) return one;
+  const gap = co.spacing + co.toolDia;
+
+  if (co.mode === "grid") {
+    const b = bounds(segs), w = b.maxX - b.minX, h = b.maxY - b.minY;
+    const x0 = -((co.cols - 1) * (w + gap)) / 2, y0 = -((co.rows - 1) * (h + gap)) / 2;
+    const out = [], placements = [];
+    for (let j = 0; j < co.rows; j++) {
+      for (let i = 0; i < co.cols; i++) {
+        const pl = { dx: x0 + i * (w + gap), dy: y0 + j * (h + gap), rot: 0 };
+        out.push(...moveSegs(segs, pl.dx, pl.dy));
+        placements.push(pl);
+      }
+    }
+    return { segs: out, copies: co.rows * co.cols, notes: [], placements };
+  }
+
+  const edge = co.margin + co.toolDia;
+  const area = { minX: -stock.w / 2 + edge, minY: -stock.h / 2 + edge, w: stock.w - 2 * edge, h: stock.h - 2 * edge };
+  let cells = nestCells(segs, area, gap);
+  const notes = [];
+  if (!cells.length) return { ...one, notes: ["Nest: the part does not fit inside the stock margin"] };
+  if (co.count > cells.length) notes.push(`Nest: only ${cells.length} of ${co.count} copies fit the stock`);
+  if (co.count) cells = cells.slice(0, co.count);
+
+  const out = [], placements = [];
+  for (const cell of cells) {
+    const turned = transformSegs(segs, 1, cell.rot), b = bounds(turned);
+    const pl = { dx: cell.x - b.minX, dy: cell.y - b.minY, rot: cell.rot };
+    out.push(...moveSegs(turned, pl.dx, pl.dy));
+    placements.push(pl);
+  }
+  return { segs: out, copies: cells.length, notes, placements };
+}
+
+// Where a point on the part lands on one copy.
+function placePt(p, pl) {
+  const q = transformPt(p, 1, pl.rot);
+  return { x: q.x + pl.dx, y: q.y + pl.dy };
+}
+
+// Part points (tabs, loop starts) repeated on every copy.
+function placeOnCopies(pts, placements) {
+  return placements.flatMap(pl => pts.map(p => placePt(p, pl)));
+}
+
+// A point picked on any copy, back in part coords: undo the copy whose box (the part's
+// box b, placed) lies nearest.
+function unplacePt(p, placements, b) {
+  let best = p, bestD = Infinity;
+  for (const pl of placements) {
+    const q = transformPt({ x: p.x - pl.dx, y: p.y - pl.dy }, 1, -pl.rot);
+    const d = Math.hypot(Math.max(b.minX - q.x, 0, q.x - b.maxX), Math.max(b.minY - q.y, 0, q.y - b.maxY));
+    if (d < bestD) { best = q; bestD = d; }
+  }
+  return best;
+}
+
+// ---------------- Layer operations ----------------
+const LAYER_OP_LABELS = {
+  main: "Main tab",
+  engrave: "Engrave (on line)",
+  profile: "Profile",
+  "pocket-offset": "Pocket (offset)",
+  "pocket-zigzag": "Pocket (zig-zag)",
+  drill: "Drill"
+};
+function segLayers(segs) {
+  const names = [];
+  for (const s of segs) if (!names.includes(s.layer || "0")) names.push(s.layer || "0");
+  return names;
+}
+
+// Drill first, engrave next, then pockets, outlines last.
+function guessLayerOp(name) {
+  const n = name.toUpperCase();
+  if (/DRILL|HOLE/.test(n)) return { op: "drill", order: 0 };
+  if (/ENGRAV|ETCH|SCRIBE|TEXT|LETTER/.test(n)) return { op: "engrave", order: 1 };
+  if (/POCKET|CLEAR/.test(n)) return { op: "pocket-offset", order: 2 };
+  if (/CUT|OUTLINE|PROFILE|THRU/.test(n)) return { op: "profile", order: 4 };
+  return { op: "main", order: 3 };
+}
+
+// Enabled layer rows grouped into jobs (layers with identical settings share one), in
+// cut order. No rows: one job cutting everything with opts.
+function layerJobs(opts, rows) {
+  if (!rows.length) return [{ layers: null, names: [], opts }];
+  const jobs = new Map();
+  for (const r of rows.filter(r => r.enabled).sort((p, q) => p.order - q.order)) {
+    const o = {
+      ...opts,
+      depth: Math.abs(r.depth ?? opts.depth),
+      stepDown: Math.max(0.001, r.stepDown ?? opts.stepDown),
+      feedXY: Math.min(r.feedXY ?? opts.feedXY, opts.maxFeedXY > 0 ? opts.maxFeedXY : Infinity)
+    };
+    if (r.op === "engrave") Object.assign(o, { operation: "profile", profileSide: "on", engrave: true });
+    else if (r.op !== "main") o.operation = r.op;
+    const key = [r.order, o.operation, o.profileSide, !!o.engrave, o.depth, o.stepDown, o.feedXY].join("|");
+    if (!jobs.has(key)) jobs.set(key, { layers: new Set(), names: [], opts: o });
+    jobs.get(key).layers.add(r.layer);
+    jobs.get(key).names.push(r.layer);
+  }
+  return [...jobs.values()];
+}
+
+// Chain/offset/pocket one job's segments into ordered paths.
+// start: where the tool is before this group (ordering minimises travel from there).
+function planPaths(segs, o, start = { x: 0, y: 0 }) {
+  let paths;
+  let notes = [];
+  if (o.operation !== "profile") {
+    const contours = chainContours(segs, o).map(c => linearizePath(c, o.outPrec));
+    const pocket = buildPocketPaths(contours, o);
+    paths = pocket.paths;
+    notes = describePocketReport(pocket.report);
+  } else if (o.profileSide !== "on" && o.toolDia > 0) {
+    const comp = applyProfileOffset(chainContours(segs, o), o);
+    paths = comp.paths;
+    notes = describeOffsetReport(comp.report);
+  } else {
+    paths = buildPaths(segs, o);
+  }
+  paths = orientLoops(joinPaths(paths, o.chainTol), o.cutDirection);
+  if (o.operation === "profile") {
+    const starts = applyLoopStarts(paths, o, o.loopStarts || []);
+    paths = starts.paths;
+    if (starts.missed) notes = notes.concat(`${starts.missed} clicked start point(s) not near a closed loop`);
+  }
+  const order = orderPaths(paths, start);
+  paths = mergeContinuous(order.paths, o.chainTol);
+  return { paths, notes, rapidSaved: Math.max(0, order.greedy - order.optimized) };
+}
+
+// ---------------- Geometry check ----------------
+// What makes chaining go wrong, found before the build: zero-length segments, contours
+// too small to survive snapping, duplicate and overlapping segments, gaps between ends,
+// open contours whose ends nearly meet and contours that cross themselves.
+const GEOMETRY_ISSUES = {
+  zero: "zero-length segment(s)",
+  tiny: "contour(s) too small to cut",
+  duplicate: "duplicate segment(s)",
+  overlap: "overlapping segment(s)",
+  gap: "gap(s) between contours",
+  open: "open contour(s) that nearly close",
+  cross: "self-intersection(s)"
+};
+
+// Duplicate arcs (same circle and ends, either direction) and collinear lines that
+// overlap by more than tol. Returns [{ idx, merged, exact, at }]: the segment indices,
+// one segment covering them all, whether they are all the same, and a point on them.
+function findOverlaps(segs, tol) {
+  const r = (v) => Math.round(v / tol);
+  const pk = (p) => `${r(p.x)},${r(p.y)}`;
+  const arcs = new Map();
+  const buckets = new Map();
+  segs.forEach((s, i) => {
+    if (s.point || segLen(s) < 1e-6) return;
+    if (isArc(s)) {
+      const k = `${pk(s.c)} ${s.ccw ? pk(s.a) + " " + pk(s.b) : pk(s.b) + " " + pk(s.a)}`;
+      if (!arcs.has(k)) arcs.set(k, []);
+      arcs.get(k).push(i);
+      return;
+    }
+    const len = dist(s.a, s.b);
+    let dx = (s.b.x - s.a.x) / len, dy = (s.b.y - s.a.y) / len;
+    if (dx < -1e-9 || (Math.abs(dx) <= 1e-9 && dy < 0)) { dx = -dx; dy = -dy; }
+    const off = -s.a.x * dy + s.a.y * dx;
+    const k = `${Math.round(Math.atan2(dy, dx) / 1e-3)},${r(off)}`;
+    const t0 = s.a.x * dx + s.a.y * dy, t1 = s.b.x * dx + s.b.y * dy;
+    if (!buckets.has(k)) buckets.set(k, []);
+    buckets.get(k).push({ i, lo: Math.min(t0, t1), hi: Math.max(t0, t1), dx, dy, off });
+  });
+
+  const out = [];
+  for (const idx of arcs.values()) {
+    if (idx.length > 1) out.push({ idx, merged: segs[idx[0]], exact: true, at: segs[idx[0]].a });
+  }
+  for (const list of buckets.values()) {
+    list.sort((p, q) => p.lo - q.lo);
+    const { dx, dy, off } = list[0];
+    const pt = (t) => ({ x: dx * t - dy * off, y: dy * t + dx * off });
+    const flush = (run) => {
+      if (run.items.length < 2) return;
+      const exact = run.items.every(x => Math.abs(x.lo - run.lo) <= tol && Math.abs(x.hi - run.hi) <= tol);
+      out.push({
+        idx: run.items.map(x => x.i),
+        merged: { ...segs[run.items[0].i], a: pt(run.lo), b: pt(run.hi) },
+        exact,
+        at: pt(run.at)
+      });
+    };
+    let run = null;
+    for (const x of list) {
+      if (run && x.lo < run.hi - tol) {
+        if (run.items.length === 1) run.at = (x.lo + Math.min(x.hi, run.hi)) / 2;
+        run.items.push(x);
+        run.hi = Math.max(run.hi, x.hi);
+      } else {
+        if (run) flush(run);
+        run = { items: [x], lo: x.lo, hi: x.hi, at: 0 };
+      }
+    }
+    flush(run);
+  }
+  return out;
+}
+
+// Segment ends with no other end within tol, paired with the nearest such end up to
+// maxGap away (closest pairs first). Returns [{ i, ei, j, ej, d }]; ei/ej are "a" or "b".
+function openEndPairs(segs, tol, maxGap) {
+  const cell = Math.max(tol, maxGap, 1e-6);
+  const grid = new Map();
+  const ends = [];
+  segs.forEach((s, i) => {
+    if (s.point) return;
+    for (const e of ["a", "b"]) {
+      const end = { i, e, p: s[e] };
+      const k = `${Math.floor(end.p.x / cell)},${Math.floor(end.p.y / cell)}`;
+      if (!grid.has(k)) grid.set(k, []);
+      grid.get(k).push(end);
+      ends.push(end);
+    }
+  });
+  const near = (end, range) => {
+    const cx = Math.floor(end.p.x / cell), cy = Math.floor(end.p.y / cell);
+    const found = [];
+    for (let x = cx - 1; x <= cx + 1; x++) {
+      for (let y = cy - 1; y <= cy + 1; y++) {
+        for (const o of grid.get(`${x},${y}`) || []) {
+          if (o !== end && dist(o.p, end.p) <= range) found.push(o);
+        }
+      }
+    }
+    return found;
+  };
+
+  const open = new Set(ends.filter(end => !near(end, tol).length));
+  const cands = [];
+  for (const end of open) {
+    for (const o of near(end, maxGap)) {
+      // a line's own two ends are never a gap; an arc's can be (a circle drawn short)
+      if (!open.has(o) || o.i < end.i || (o.i === end.i && (o.e === "a" || !isArc(segs[o.i])))) continue;
+      cands.push({ i: end.i, ei: end.e, j: o.i, ej: o.e, d: dist(end.p, o.p) });
+    }
+  }
+  cands.sort((p, q) => p.d - q.d);
+  const used = new Set();
+  return cands.filter(c => {
+    const ka = `${c.i}${c.ei}`, kb = `${c.j}${c.ej}`;
+    if (used.has(ka) || used.has(kb)) return false;
+    used.add(ka);
+    used.add(kb);
+    return true;
+  });
+}
+
+// Points where line pieces of different segments of one contour cross strictly inside
+// both (touching at ends does not count).
+function selfCrossings(segs, outPrec) {
+  const pieces = segs.flatMap((s, i) => linearizeSeg(s, outPrec).map(p => ({
+    a: p.a, b: p.b, i, minX: Math.min(p.a.x, p.b.x), maxX: Math.max(p.a.x, p.b.x)
+  })));
+  pieces.sort((p, q) => p.minX - q.minX);
+  const hits = [];
+  const active = [];
+  for (const p of pieces) {
+    for (let k = active.length - 1; k >= 0; k--) if (active[k].maxX < p.minX) active.splice(k, 1);
+    for (const q of active) {
+      if (q.i === p.i) continue;
+      const rx = p.b.x - p.a.x, ry = p.b.y - p.a.y, sx = q.b.x - q.a.x, sy = q.b.y - q.a.y;
+      const den = rx * sy - ry * sx;
+      if (Math.abs(den) < 1e-12) continue;
+      const t = ((q.a.x - p.a.x) * sy - (q.a.y - p.a.y) * sx) / den;
+      const u = ((q.a.x - p.a.x) * ry - (q.a.y - p.a.y) * rx) / den;
+      if (t > 1e-6 && t < 1 - 1e-6 && u > 1e-6 && u < 1 - 1e-6) hits.push({ x: p.a.x + t * rx, y: p.a.y + t * ry });
+    }
+    active.push(p);
+  }
+  return hits;
+}
+
+// Every issue in segs (hidden ones left out): [{ kind, at }] with kind a GEOMETRY_ISSUES
+// key. Ends within the chainer's snap distance count as joined; gaps wider than that up
+// to gapTol are reported.
+function checkGeometry(segs, opts, gapTol) {
+  const tol = opts.snapGrid * 0.55;
+  const issues = [];
+  const live = [];
+  for (const s of segs) {
+    if (s.point || s.hidden) continue;
+    if (segLen(s) < 1e-6) issues.push({ kind: "zero", at: s.a });
+    else live.push(s);
+  }
+  for (const o of findOverlaps(live, tol)) {
+    issues.push({ kind: o.exact ? "duplicate" : "overlap", at: o.at, count: o.idx.length - 1 });
+  }
+
+  const groups = contourGroups(live, tol);
+  const groupOf = new Array(live.length);
+  groups.forEach((g, n) => g.forEach(i => { groupOf[i] = n; }));
+  for (const c of openEndPairs(live, tol, Math.max(gapTol, tol))) {
+    const p = live[c.i][c.ei], q = live[c.j][c.ej];
+    issues.push({ kind: groupOf[c.i] === groupOf[c.j] ? "open" : "gap", at: { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 }, size: c.d });
+  }
+  // the chainer drops anything shorter than this after snapping
+  const minLen = Math.max(opts.outPrec * 0.8, opts.snapGrid * 0.5);
+  for (const g of groups) {
+    if (g.reduce((n, i) => n + segLen(live[i]), 0) < minLen) issues.push({ kind: "tiny", at: live[g[0]].a, size: segLen(live[g[0]]) });
+    if (g.length < 2) continue;
+    for (const at of selfCrossings(g.map(i => live[i]), opts.outPrec)) issues.push({ kind: "cross", at });
+  }
+  return issues;
+}
+
+function describeGeometryIssues(issues) {
+  const counts = {};
+  for (const x of issues) counts[x.kind] = (counts[x.kind] || 0) + (x.count || 1);
+  return Object.keys(GEOMETRY_ISSUES).filter(k => counts[k]).map(k => `${counts[k]} ${GEOMETRY_ISSUES[k]}`);
+}
+
+// Fixes chosen after a check, replayed on the drawing at every build:
+// [{ fix: "dedupe" | "close" | "join", tol }].
+//   dedupe: drops zero-length segments and duplicates, merges overlapping lines
+//   close:  bridges ends up to tol apart with a short line
+//   join:   moves line ends up to tol apart onto each other (arcs keep their ends)
+function repairGeometry(segs, repairs) {
+  let out = segs;
+  for (const r of repairs || []) {
+    if (r.fix === "dedupe") out = dedupeSegs(out, r.tol);
+    else if (r.fix === "close" || r.fix === "join") out = closeGaps(out, r.tol, r.fix === "join");
+  }
+  return out;
+}
+
+function dedupeSegs(segs, tol) {
+  const live = segs.filter(s => s.point || segLen(s) >= 1e-6);
+  const drop = new Set();
+  const replace = new Map();
+  for (const o of findOverlaps(live, tol)) {
+    o.idx.slice(1).forEach(i => drop.add(i));
+    replace.set(o.idx[0], o.merged);
+  }
+  return live.flatMap((s, i) => drop.has(i) ? [] : [replace.get(i) || s]);
+}
+
+function closeGaps(segs, tol, weld) {
+  const out = segs.slice();
+  const bridges = [];
+  for (const c of openEndPairs(segs, 1e-6, tol)) {
+    const s = out[c.i], t = out[c.j];
+    if (weld && !(isArc(s) && isArc(t)) && c.i !== c.j) {
+      // the line end moves; between two lines both meet halfway
+      const p = s[c.ei], q = t[c.ej];
+      const m = isArc(s) ? p : isArc(t) ? q : { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+      if (!isArc(s)) out[c.i] = { ...s, [c.ei]: m };
+      if (!isArc(t)) out[c.j] = { ...out[c.j], [c.ej]: m };
+    } else {
+      // keyed by the segments it joins, so contour edits find it again after a transform
+      bridges.push({ a: s[c.ei], b: t[c.ej], layer: s.layer, src: `${s.src}:${c.ei}${c.ej}:${t.src}` });
+    }
+  }
+  return out.concat(bridges);
+}
+
+// ---------------- Contour edits ----------------
+// Hide, delete, reverse and depth overrides picked on the canvas, keyed by the source
+// segment so they survive a rebuild, a new origin or other units:
+// { [segKey]: { hidden, deleted, reversed, depth } }.
+function segKey(s) {
+  const pts = s.c ? [s.a, s.b, s.c] : [s.a, s.b];
+  return pts.map(p => `${p.x.toFixed(4)},${p.y.toFixed(4)}`).join(" ");
+}
+
+// Deleted segments dropped, reversed ones flipped and marked so the planner keeps their
+// direction; hidden and depth stay on the segment for drawGeom and planToolpath.
+function applyContourEdits(segs, edits) {
+  if (!edits || !Object.keys(edits).length) return segs;
+  const out = [];
+  for (const s of segs) {
+    const e = edits[s.src];
+    if (!e) { out.push(s); continue; }
+    if (e.deleted) continue;
+    const t = e.reversed ? { ...reverseSeg(s), reversed: true } : { ...s };
+    if (e.hidden) t.hidden = true;
+    if (e.depth != null) t.depth = e.depth;
+    out.push(t);
+  }
+  return out;
+}
+
+// Segments joined end to end (within tol, either direction) as lists of indices into segs.
+function contourGroups(segs, tol) {
+  const parent = segs.map((_, i) => i);
+  const find = (i) => { while (parent[i] !== i) i = parent[i] = parent[parent[i]]; return i; };
+  const key = (p) => `${Math.round(p.x / tol)},${Math.round(p.y / tol)}`;
+  const at = new Map();
+  segs.forEach((s, i) => {
+    if (s.point) return;
+    for (const p of [s.a, s.b]) {
+      const k = key(p);
+      if (at.has(k)) parent[find(i)] = find(at.get(k));
+      else at.set(k, i);
+    }
+  });
+  const groups = new Map();
+  segs.forEach((_, i) => {
+    const r = find(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(i);
+  });
+  return [...groups.values()];
+}
+
+// Segments by depth override: the unedited ones (null) first, then each depth.
+function splitByDepth(segs) {
+  const parts = new Map([[null, []]]);
+  for (const s of segs) {
+    const d = s.depth ?? null;
+    if (!parts.has(d)) parts.set(d, []);
+    parts.get(d).push(s);
+  }
+  return [...parts].sort((p, q) => (p[0] ?? -1) - (q[0] ?? -1)).filter(([, part]) => part.length);
+}
+
+// ---------------- Build pipeline ----------------
+// The page's default settings in the readOpts() shape (inches); the CLI starts from these.
+const DEFAULT_OPTS = {
+  safeZ: 0.5, depth: 0.0625, stepDown: 0.0625, feedXY: 30, feedZ: 20, outPrec: 0.01, snapGrid: 0.02,
+  angleTolDeg: 14, chainTol: 0.02, origin: "center", toolComment: "(T1 - 1/4 endmill)", rpm: 12000,
+  toolDia: 0.25, profileSide: "on", operation: "profile", stepoverPct: 40, tabCount: 0, tabWidth: 0.25,
+  tabHeight: 0.125, entry: "straight", rampAngleDeg: 5, arcOutput: "ij", splineArcs: false, routeRapids: false,
+  cutDirection: "any", loopStart: "auto", drillMaxDia: 0, drillCycle: "g81", peckDepth: 0.125, units: "in"
+};
+
+// Placed geometry (inches, after transform and copies) → cut groups for buildProgram; the
+// page's Build button and the CLI both go through here. opts: readOpts() shape after
+// applyMachineLimits, with loopStarts / manualTabs in the same coords as segs.
+// layerRows: the layer table ([] cuts everything with opts). Hidden segments are left
+// out and ones with a depth override (applyContourEdits) are cut as groups of their own.
+// Returns { groups, paths, holeCount, tabMarks, tabInfo, notes, rapidSaved }.
+function planToolpath(segs, opts, layerRows = []) {
+  const groups = [];
+  const notes = [];
+  const tabMarks = [];
+  let tabInfo = "";
+  let at = { x: 0, y: 0 }, rapidSaved = 0;
+  const shown = segs.filter(s => !s.hidden);
+  for (const job of layerJobs(opts, layerRows)) {
+    const jobSegs = job.layers ? shown.filter(s => job.layers.has(s.layer || "0")) : shown;
+    for (const [depth, part] of splitByDepth(jobSegs)) {
+      const jo = depth === null ? job.opts : { ...job.opts, depth };
+      // drill hits come off first (Drill takes every circle up to its size and every
+      // point, other operations only when a size is set)
+      const drill = jo.operation === "drill";
+      const maxDia = drill || jo.drillMaxDia > 0 ? jo.drillMaxDia : null;
+      const found = findDrillHoles(part, maxDia, opts.chainTol);
+      if (found.skippedPoints) {
+        notes.push(`${found.skippedPoints} point(s) ${job.names.length ? `on layer ${job.names.join(", ")} ` : ""}not drilled (use Drill or set Drill circles ≤)`);
+      }
+      if (found.holes.length) {
+        const o = { ...jo, operation: "drill" };
+        const ordered = orderHoles(found.holes, at);
+        groups.push({ paths: [], holes: ordered.holes, opts: o, label: job.names.join(", ") });
+        notes.push(...describeDrillHoles(found.holes, o));
+        rapidSaved += ordered.rapidSaved;
+        at = ordered.holes[ordered.holes.length - 1];
+      }
+      if (drill) {
+        if (found.rest.length) notes.push(`${found.rest.length} segment(s) on Drill ${job.names.length ? `layer ${job.names.join(", ")}` : "operation"} are not drillable circles and were skipped`);
+        continue;
+      }
+
+      // "lines" reproduces the old chord output; pockets are cleared with chords either way
+      const planSegs = opts.arcOutput === "lines" ? linearizeSegs(found.rest, opts.outPrec) : found.rest;
+      const plan = planPaths(planSegs, jo, at);
+      notes.push(...plan.notes);
+      rapidSaved += plan.rapidSaved;
+      if (plan.paths.length) {
+        groups.push({ paths: plan.paths, opts: jo, label: job.names.join(", ") });
+        const last = plan.paths[plan.paths.length - 1];
+        at = last.segs[last.segs.length - 1].b;
+      }
+    }
+  }
+  const holeCount = groups.reduce((n, g) => n + (g.holes?.length || 0), 0);
+  const post = POSTS[opts.post] || POSTS.icarver;
+  if (holeCount && opts.drillCycle !== "expanded" && !post.cannedCycles) {
+    notes.push(`${post.name} has no canned cycles; holes drilled with G0/G1`);
+  }
+
+  // tabs go on the through-cut profiles (not engraving), across all layers at once
+  const manualTabs = opts.manualTabs || [];
+  const tabGroups = groups.filter(g => g.opts.operation === "profile" && !g.opts.engrave);
+  if (tabGroups.length && opts.tabHeight > 0 && (opts.tabCount > 0 || manualTabs.length)) {
+    const tabPaths = tabGroups.filter(g => opts.tabHeight < g.opts.depth).flatMap(g => g.paths);
+    if (tabPaths.length < tabGroups.reduce((n, g) => n + g.paths.length, 0)) {
+      notes.push(...describeTabReport({ tooTall: true }));
+    }
+    if (tabPaths.length) {
+      const tabRep = assignTabs(tabPaths, opts, manualTabs);
+      for (const p of tabPaths) {
+        for (const t of p.tabs || []) tabMarks.push(pointAtLength(p, (t.s0 + t.s1) / 2));
+      }
+      notes.push(...describeTabReport(tabRep));
+      if (tabRep.tabs) tabInfo = ` • Tabs: ${tabRep.tabs} on ${tabRep.loops} loop(s)`;
+    }
+  }
+
+  return { groups, paths: groups.flatMap(g => g.paths), holeCount, tabMarks, tabInfo, notes, rapidSaved };
+}
+
+// ---------------- Node exports ----------------
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    UNITS, DEFAULT_OPTS, DEFAULT_MACHINES, POSTS, unitInfo, setShownUnits, fmtLen, lenFixed, shownLen,
+    parseSourceDoc, sourceSegments, extractSegments, applyOriginShift, transformSegs, bounds, arrangeCopies, placeOnCopies, unplacePt,
+    segLayers, guessLayerOp, layerJobs, applyContourEdits, contourGroups, checkGeometry, describeGeometryIssues,
+    repairGeometry, buildPaths, chainContours, orderPaths, mergeContinuous, planPaths,
+    findDrillHoles, planToolpath, applyMachineLimits, buildProgram, postProcess, parseGcode, estimateCycleTime,
+    describeCycleTime, checkOvertravelAndMark, checkCollisionsAndMark, describeCollisions, describeStockDepth
+  };
+}
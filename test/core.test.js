@@ -0,0 +1,123 @@
+// Checks on core.js behaviour that the golden programs do not pin down.
+const test = require("node:test");
+const assert = require("node:assert");
+const core = require("../core.js");
+
+const line = (ax, ay, bx, by) => ({ a: { x: ax, y: ay }, b: { x: bx, y: by } });
+const square = (x, y, w) => [line(x, y, x + w, y), line(x + w, y, x + w, y + w), line(x + w, y + w, x, y + w), line(x, y + w, x, y)];
+
+// Shoelace area of a path's start points: > 0 counter-clockwise.
+function signedArea(p) {
+  let a = 0;
+  p.segs.forEach((s, i) => {
+    const n = p.segs[(i + 1) % p.segs.length].a;
+    a += s.a.x * n.y - n.x * s.a.y;
+  });
+  return a / 2;
+}
+
+test("climb outside profile winds clockwise, conventional counter-clockwise", () => {
+  for (const [dir, cw] of [["climb", true], ["conventional", false]]) {
+    const o = { ...core.DEFAULT_OPTS, profileSide: "outside", toolDia: 0.25, cutDirection: dir };
+    const { paths } = core.planPaths(square(0, 0, 2), o);
+    assert.strictEqual(paths.length, 1);
+    assert.strictEqual(signedArea(paths[0]) < 0, cw, dir);
+  }
+});
+
+test("bounds() reaches the top of an arc that sweeps past 2π from its start angle", () => {
+  // CCW, radius 1, from 160° round to 480° (= 120°): passes through 450° (the top)
+  const deg = (d) => ({ x: Math.cos(d * Math.PI / 180), y: Math.sin(d * Math.PI / 180) });
+  const b = core.bounds([{ a: deg(160), b: deg(480), c: { x: 0, y: 0 }, ccw: true }]);
+  assert.ok(Math.abs(b.maxY - 1) < 1e-9, `maxY ${b.maxY}`);
+});
+
+test("DXF points are drilled only by Drill or a Drill circles size", () => {
+  const pt = { a: { x: 1, y: 1 }, b: { x: 1, y: 1 }, point: true };
+  const segs = [...square(0, 0, 2), pt];
+  const profile = core.planToolpath(segs, { ...core.DEFAULT_OPTS, drillMaxDia: 0 });
+  assert.strictEqual(profile.holeCount, 0);
+  assert.ok(profile.notes.some(n => /1 point\(s\) not drilled/.test(n)), profile.notes.join(" | "));
+  assert.strictEqual(core.planToolpath(segs, { ...core.DEFAULT_OPTS, drillMaxDia: 0.25 }).holeCount, 1);
+  assert.strictEqual(core.planToolpath(segs, { ...core.DEFAULT_OPTS, operation: "drill" }).holeCount, 1);
+});
+
+test("reversed contours keep their direction through ordering and cut direction", () => {
+  const withSrc = (segs) => segs.map(s => ({ ...s, src: `${s.a.x},${s.a.y},${s.b.x},${s.b.y}` }));
+  const reverseAll = (segs) => core.applyContourEdits(segs, Object.fromEntries(segs.map(s => [s.src, { reversed: true }])));
+
+  // open: nearest end to the start is (5,5), but the reversed contour must start at (5,6)
+  const open = withSrc([line(5, 5, 6, 5), line(6, 5, 6, 6), line(6, 6, 5, 6)]);
+  const first = (segs, o) => core.planToolpath(segs, { ...core.DEFAULT_OPTS, ...o }).paths[0].segs[0].a;
+  assert.deepStrictEqual(first(open, {}), { x: 5, y: 5 });
+  assert.deepStrictEqual(first(reverseAll(open), {}), { x: 5, y: 6 });
+
+  // closed: drawn clockwise and reversed, it stays counter-clockwise even with Climb asked for
+  const cw = square(0, 0, 2).reverse().map(s => line(s.b.x, s.b.y, s.a.x, s.a.y));
+  const loop = reverseAll(withSrc(cw));
+  for (const o of [{ cutDirection: "climb" }, { cutDirection: "climb", profileSide: "outside" }]) {
+    const p = core.planToolpath(loop, { ...core.DEFAULT_OPTS, ...o }).paths[0];
+    assert.ok(signedArea(p) > 0, JSON.stringify(o));
+  }
+});
+
+test("nesting fills the corner above the strip right of the main grid", () => {
+  const rect = [line(0, 0, 1.5, 0), line(1.5, 0, 1.5, 1), line(1.5, 1, 0, 1), line(0, 1, 0, 0)];
+  const co = { mode: "nest", count: 0, spacing: 0, margin: 0, toolDia: 0 };
+  const { copies, placements } = core.arrangeCopies(rect, co, { w: 4.5, h: 2.5 });
+  assert.strictEqual(copies, 7);
+  const boxes = placements.map(pl => core.bounds(core.placeOnCopies(rect.map(s => s.a), [pl]).map(p => ({ a: p, b: p }))));
+  for (const b of boxes) assert.ok(b.minX > -2.25 - 1e-9 && b.maxX < 2.25 + 1e-9 && b.minY > -1.25 - 1e-9 && b.maxY < 1.25 + 1e-9);
+  boxes.forEach((b, i) => boxes.slice(i + 1).forEach(c => {
+    assert.ok(b.maxX <= c.minX + 1e-9 || c.maxX <= b.minX + 1e-9 || b.maxY <= c.minY + 1e-9 || c.maxY <= b.minY + 1e-9);
+  }));
+});
+
+test("tabs and loop starts follow every copy", () => {
+  const part = square(0, 0, 2);
+  const { placements } = core.arrangeCopies(part, { mode: "nest", count: 4, spacing: 0.25, margin: 0, toolDia: 0 }, { w: 6, h: 6 });
+  const tab = { x: 1, y: 0 };
+  const placed = core.placeOnCopies([tab], placements);
+  assert.strictEqual(placed.length, 4);
+  // a click on any copy maps back to the same part point
+  for (const p of placed) {
+    const back = core.unplacePt(p, placements, core.bounds(part));
+    assert.ok(Math.hypot(back.x - tab.x, back.y - tab.y) < 1e-9, JSON.stringify(back));
+  }
+});
+
+test("outside profile cuts a hole in the part inside its line", () => {
+  const o = { ...core.DEFAULT_OPTS, profileSide: "outside", toolDia: 0.25 };
+  const { paths } = core.planPaths([...square(0, 0, 4), ...square(1.5, 1.5, 1)], o);
+  const boxes = paths.map(p => core.bounds(p.segs)).sort((a, b) => a.minX - b.minX);
+  const near = (b, lo, hi) => [b.minX, b.minY, b.maxX, b.maxY].every((v, k) => Math.abs(v - (k < 2 ? lo : hi)) < 1e-6);
+  assert.ok(near(boxes[0], -0.125, 4.125), JSON.stringify(boxes[0]));
+  assert.ok(near(boxes[1], 1.625, 2.375), JSON.stringify(boxes[1]));
+});
+
+test("path ordering around a reversed open contour never lengthens the rapids", () => {
+  const open = (ax, ay, bx, by, fixedDir) => ({ segs: [line(ax, ay, bx, by)], ...(fixedDir && { fixedDir }) });
+  const paths = [open(9, 5, 5, 3), open(9, 4, 2, 0, true), open(9, 0, 5, 3)];
+  const r = core.orderPaths(paths);
+  let at = { x: 0, y: 0 }, travel = 0;
+  for (const p of r.paths) {
+    travel += Math.hypot(p.segs[0].a.x - at.x, p.segs[0].a.y - at.y);
+    at = p.segs[p.segs.length - 1].b;
+  }
+  assert.ok(r.optimized <= r.greedy + 1e-9, `${r.optimized} > ${r.greedy}`);
+  assert.ok(Math.abs(travel - r.optimized) < 1e-9, `travel ${travel}, reported ${r.optimized}`);
+  assert.ok(r.paths.some(p => p.fixedDir && p.segs[0].a.x === 9 && p.segs[0].a.y === 4));
+});
+
+test("a loop never enters on a tab that covers its start point", () => {
+  const o = { ...core.DEFAULT_OPTS, depth: 0.5, stepDown: 0.25, toolDia: 0.25, tabHeight: 0.125, tabWidth: 0.25, tabCount: 0, manualTabs: [{ x: 0, y: 0 }] };
+  const plan = core.planToolpath(square(0, 0, 4), o);
+  assert.ok(plan.paths[0].tabs.every(t => t.s0 > 1e-9), JSON.stringify(plan.paths[0].tabs));
+  // no move ends below the tab top within the tab at the corner (0,0)
+  const tabTop = -o.depth + o.tabHeight, at = { X: 0, Y: 0, Z: 1 };
+  for (const ln of core.buildProgram(plan.groups, o).ncLines) {
+    if (!/^G[01]\b/.test(ln)) continue;
+    for (const [, k, v] of ln.matchAll(/([XYZ])(-?[\d.]+)/g)) at[k] = Number(v);
+    if (Math.abs(at.X) < 0.2 && Math.abs(at.Y) < 0.2) assert.ok(at.Z >= tabTop - 1e-9, ln);
+  }
+});
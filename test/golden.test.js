@@ -0,0 +1,22 @@
+// Golden-file regression: the CLI's program for a fixed drawing must not change by
+// accident. After an intended change to the output, refresh the goldens with
+//   UPDATE_GOLDEN=1 npm test
+// and review the diff.
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const FIXTURE = path.join(__dirname, "fixtures", "bracket.dxf");
+const ARGS = ["--depth", "0.25", "--step", "0.125", "--tool", "0.125", "-q", "-o", "-"];
+
+for (const [post, golden] of [["icarver", "bracket.dat"], ["grbl", "bracket.nc"], ["mach3", "bracket.tap"]]) {
+  test(`bracket.dxf → ${post} matches ${golden}`, () => {
+    const out = execFileSync(process.execPath, [CLI, FIXTURE, "--post", post, ...ARGS], { encoding: "utf8" });
+    const file = path.join(__dirname, "golden", golden);
+    if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, out);
+    assert.strictEqual(out, fs.readFileSync(file, "utf8"));
+  });
+}
@@ -0,0 +1,213 @@
+; NorrisCAM - USB G-code
+; T1 - 1/4 endmill
+G90 ; absolute
+G94 ; feed/min
+G17 ; XY plane
+G20 ; inches
+G54 ; work offset
+M3 S12000 ; spindle on
+G0 Z0.5
+; Layer HOLES: Drill, depth 0.25
+; Drill to 0.25
+G0 X1.25 Y0.75
+G0 Z0.1
+G1 Z-0.25 F20
+G0 Z0.5
+G0 X-1.75 Y1
+G0 Z0.1
+G1 Z-0.25
+G0 Z0.5
+; Layer ENGRAVE: Engrave (on line), depth 0.25
+G0 X-1.74 Y-1
+G1 Z-0.125
+F30
+G1 X1.26 Y-1
+G0 Z0.5
+G0 X-1.74 Y-1
+G1 Z-0.25 F20
+F30
+G1 X1.26 Y-1
+G0 Z0.5
+; Layer POCKET: Pocket (offset), depth 0.25
+; Pocket offset, stepover 40% of 0.125 tool
+G0 X-0.7525 Y-0.0125
+G1 Z-0.125 F20
+F30
+G1 X-0.2275 Y-0.0125
+G1 X-0.2275 Y0.0125
+G1 X-0.7525 Y0.0125
+G1 X-0.7525 Y-0.0125
+G0 Z0.5
+G0 X-0.7775 Y-0.0375
+G1 Z-0.125 F20
+F30
+G1 X-0.2025 Y-0.0375
+G1 X-0.2025 Y0.0375
+G1 X-0.7775 Y0.0375
+G1 X-0.7775 Y-0.0375
+G0 Z0.5
+G0 X-0.8275 Y-0.0875
+G1 Z-0.125 F20
+F30
+G1 X-0.1525 Y-0.0875
+G1 X-0.1525 Y0.0875
+G1 X-0.8275 Y0.0875
+G1 X-0.8275 Y-0.0875
+G0 Z0.5
+G0 X-0.8775 Y-0.1375
+G1 Z-0.125 F20
+F30
+G1 X-0.1025 Y-0.1375
+G1 X-0.1025 Y0.1375
+G1 X-0.8775 Y0.1375
+G1 X-0.8775 Y-0.1375
+G0 Z0.5
+G0 X-0.9275 Y-0.1875
+G1 Z-0.125 F20
+F30
+G1 X-0.0525 Y-0.1875
+G1 X-0.0525 Y0.1875
+G1 X-0.9275 Y0.1875
+G1 X-0.9275 Y-0.1875
+G0 Z0.5
+G0 X-0.9775 Y-0.2375
+G1 Z-0.125 F20
+F30
+G1 X-0.0025 Y-0.2375
+G1 X-0.0025 Y0.2375
+G1 X-0.9775 Y0.2375
+G1 X-0.9775 Y-0.2375
+G0 Z0.5
+G0 X-1.0275 Y-0.2875
+G1 Z-0.125 F20
+F30
+G1 X0.0475 Y-0.2875
+G1 X0.0475 Y0.2875
+G1 X-1.0275 Y0.2875
+G1 X-1.0275 Y-0.2875
+G0 Z0.5
+G0 X-1.0775 Y-0.3375
+G1 Z-0.125 F20
+F30
+G1 X0.0975 Y-0.3375
+G1 X0.0975 Y0.3375
+G1 X-1.0775 Y0.3375
+G1 X-1.0775 Y-0.3375
+G0 Z0.5
+G0 X-1.1275 Y-0.3875
+G1 Z-0.125 F20
+F30
+G1 X0.1475 Y-0.3875
+G1 X0.1475 Y0.3875
+G1 X-1.1275 Y0.3875
+G1 X-1.1275 Y-0.3875
+G0 Z0.5
+G0 X-1.1775 Y-0.4375
+G1 Z-0.125 F20
+F30
+G1 X0.1975 Y-0.4375
+G1 X0.1975 Y0.4375
+G1 X-1.1775 Y0.4375
+G1 X-1.1775 Y-0.4375
+G0 Z0.5
+G0 X-0.7525 Y-0.0125
+G1 Z-0.25 F20
+F30
+G1 X-0.2275 Y-0.0125
+G1 X-0.2275 Y0.0125
+G1 X-0.7525 Y0.0125
+G1 X-0.7525 Y-0.0125
+G0 Z0.5
+G0 X-0.7775 Y-0.0375
+G1 Z-0.25 F20
+F30
+G1 X-0.2025 Y-0.0375
+G1 X-0.2025 Y0.0375
+G1 X-0.7775 Y0.0375
+G1 X-0.7775 Y-0.0375
+G0 Z0.5
+G0 X-0.8275 Y-0.0875
+G1 Z-0.25 F20
+F30
+G1 X-0.1525 Y-0.0875
+G1 X-0.1525 Y0.0875
+G1 X-0.8275 Y0.0875
+G1 X-0.8275 Y-0.0875
+G0 Z0.5
+G0 X-0.8775 Y-0.1375
+G1 Z-0.25 F20
+F30
+G1 X-0.1025 Y-0.1375
+G1 X-0.1025 Y0.1375
+G1 X-0.8775 Y0.1375
+G1 X-0.8775 Y-0.1375
+G0 Z0.5
+G0 X-0.9275 Y-0.1875
+G1 Z-0.25 F20
+F30
+G1 X-0.0525 Y-0.1875
+G1 X-0.0525 Y0.1875
+G1 X-0.9275 Y0.1875
+G1 X-0.9275 Y-0.1875
+G0 Z0.5
+G0 X-0.9775 Y-0.2375
+G1 Z-0.25 F20
+F30
+G1 X-0.0025 Y-0.2375
+G1 X-0.0025 Y0.2375
+G1 X-0.9775 Y0.2375
+G1 X-0.9775 Y-0.2375
+G0 Z0.5
+G0 X-1.0275 Y-0.2875
+G1 Z-0.25 F20
+F30
+G1 X0.0475 Y-0.2875
+G1 X0.0475 Y0.2875
+G1 X-1.0275 Y0.2875
+G1 X-1.0275 Y-0.2875
+G0 Z0.5
+G0 X-1.0775 Y-0.3375
+G1 Z-0.25 F20
+F30
+G1 X0.0975 Y-0.3375
+G1 X0.0975 Y0.3375
+G1 X-1.0775 Y0.3375
+G1 X-1.0775 Y-0.3375
+G0 Z0.5
+G0 X-1.1275 Y-0.3875
+G1 Z-0.25 F20
+F30
+G1 X0.1475 Y-0.3875
+G1 X0.1475 Y0.3875
+G1 X-1.1275 Y0.3875
+G1 X-1.1275 Y-0.3875
+G0 Z0.5
+G0 X-1.1775 Y-0.4375
+G1 Z-0.25 F20
+F30
+G1 X0.1975 Y-0.4375
+G1 X0.1975 Y0.4375
+G1 X-1.1775 Y0.4375
+G1 X-1.1775 Y-0.4375
+G0 Z0.5
+; Layer CUT: Profile, depth 0.25
+G0 X-2.24 Y-1.5
+G1 Z-0.125 F20
+F30
+G1 X1.76 Y-1.5
+G3 X2.26 Y-1 I-0.005 J0.505
+G1 X2.26 Y1.5
+G1 X-2.24 Y1.5
+G1 X-2.24 Y-1.5
+G0 Z0.5
+G1 Z-0.25 F20
+F30
+G1 X1.76 Y-1.5
+G3 X2.26 Y-1 I-0.005 J0.505
+G1 X2.26 Y1.5
+G1 X-2.24 Y1.5
+G1 X-2.24 Y-1.5
+G0 Z0.5
+G0 Z0.5
+M5 ; spindle stop
+M30 ; end
\ No newline at end of file